@@ -2,12 +2,14 @@
 const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
   UNPROCESSABLE_ENTITY: 422,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500
 };
 
@@ -17,8 +19,183 @@ const USER_CONSTANTS = {
   MAX_BIO_LENGTH: 500,
   MAX_INTERESTS: 10,
   MAX_PHOTOS: 6,
-  TOKEN_EXPIRY: '7d',
-  EMAIL_TOKEN_EXPIRY: '1h'
+  MAX_PHOTO_CAPTION_LENGTH: 150,
+  TOKEN_EXPIRY: '15m',
+  REFRESH_TOKEN_EXPIRY: 30 * 24 * 60 * 60 * 1000, // 30 days
+  SESSION_ACTIVITY_INTERVAL: 60 * 1000, // 1 minute
+  EMAIL_TOKEN_EXPIRY: 60 * 60 * 1000, // 1 hour
+  EMAIL_VERIFICATION_RESEND_COOLDOWN: 60 * 1000, // 1 minute
+  PASSWORD_RESET_EXPIRY: 60 * 60 * 1000, // 1 hour
+  MAGIC_LINK_EXPIRY: '15m',
+  ACCOUNT_DELETION_GRACE_PERIOD: 30 * 24 * 60 * 60 * 1000, // 30 days
+  REAUTH_WINDOW: 10 * 60 * 1000, // 10 minutes
+  ACCOUNT_STATUS: {
+    ACTIVE: 'active',
+    PENDING_DELETION: 'pending_deletion',
+    SUSPENDED: 'suspended'
+  }
+};
+
+// Role and Permission Constants
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_UPDATE: 'users:update',
+  USERS_UNLOCK: 'users:unlock',
+  USERS_BILLING: 'users:billing',
+  USERS_DELETE: 'users:delete',
+  ROLES_MANAGE: 'roles:manage',
+  API_KEYS_MANAGE: 'api_keys:manage',
+  STATISTICS_READ: 'statistics:read',
+  SYSTEM_HEALTH_READ: 'system:health',
+  NOTIFICATIONS_SEND: 'notifications:send',
+  NOTIFICATIONS_BROADCAST: 'notifications:broadcast',
+  PROMPTS_MANAGE: 'prompts:manage',
+  PHOTO_VERIFICATION_REVIEW: 'photo_verification:review'
+};
+
+const ROLE_CONSTANTS = {
+  ROLES: {
+    USER: 'user',
+    ADMIN: 'admin',
+    MODERATOR: 'moderator',
+    SUPPORT: 'support',
+    ANALYST: 'analyst'
+  },
+  // Higher ranks may manage accounts of lower ranks
+  ROLE_RANKS: {
+    user: 0,
+    analyst: 1,
+    support: 1,
+    moderator: 2,
+    admin: 3
+  },
+  // Permission matrix; admins hold every permission
+  PERMISSIONS_BY_ROLE: {
+    user: [],
+    admin: Object.values(PERMISSIONS),
+    moderator: [
+      PERMISSIONS.USERS_READ,
+      PERMISSIONS.USERS_UPDATE,
+      PERMISSIONS.NOTIFICATIONS_SEND,
+      PERMISSIONS.NOTIFICATIONS_BROADCAST,
+      PERMISSIONS.PROMPTS_MANAGE,
+      PERMISSIONS.PHOTO_VERIFICATION_REVIEW
+    ],
+    support: [
+      PERMISSIONS.USERS_READ,
+      PERMISSIONS.USERS_UNLOCK,
+      PERMISSIONS.NOTIFICATIONS_SEND
+    ],
+    analyst: [
+      PERMISSIONS.STATISTICS_READ,
+      PERMISSIONS.SYSTEM_HEALTH_READ
+    ]
+  }
+};
+
+// API Key Constants
+const API_KEY_CONSTANTS = {
+  KEY_PREFIX: 'rlc',
+  PREFIX_BYTES: 6,
+  SECRET_BYTES: 32,
+  DEFAULT_EXPIRY_DAYS: 90,
+  MAX_EXPIRY_DAYS: 365,
+  // Keys may only be used against these route prefixes
+  ALLOWED_PATH_PREFIXES: ['/api/admin'],
+  // Scopes that can never be granted to a key
+  RESTRICTED_SCOPES: ['api_keys:manage', 'roles:manage']
+};
+
+// Phone Verification Constants
+const PHONE_VERIFICATION_CONSTANTS = {
+  CODE_LENGTH: 6,
+  CODE_EXPIRY: 10 * 60 * 1000, // 10 minutes
+  MAX_ATTEMPTS: 5, // wrong guesses before the code is discarded
+  RESEND_COOLDOWN: 60 * 1000, // 1 minute
+  MAX_CODES_PER_DAY: 10
+};
+
+// Two-Factor Authentication Constants
+const TWO_FACTOR_CONSTANTS = {
+  ISSUER: 'Relacio',
+  SECRET_BYTES: 20,
+  DIGITS: 6,
+  PERIOD: 30, // seconds
+  WINDOW: 1, // accept one step of clock drift either way
+  RECOVERY_CODE_COUNT: 10,
+  CHALLENGE_TOKEN_EXPIRY: '5m',
+  MANDATORY_ROLES: ['admin', 'moderator', 'support', 'analyst']
+};
+
+// Profile Related Constants
+const PROFILE_CONSTANTS = {
+  GENDERS: {
+    WOMAN: 'woman',
+    MAN: 'man',
+    NON_BINARY: 'non_binary',
+    GENDERQUEER: 'genderqueer',
+    GENDERFLUID: 'genderfluid',
+    AGENDER: 'agender',
+    TWO_SPIRIT: 'two_spirit',
+    OTHER: 'other'
+  },
+  // Allowed answers per lifestyle field; every field is optional and can be
+  // hidden from other users
+  LIFESTYLE_OPTIONS: {
+    smoking: ['never', 'socially', 'regularly', 'trying_to_quit'],
+    drinking: ['never', 'socially', 'regularly', 'sober'],
+    exercise: ['never', 'sometimes', 'often', 'daily'],
+    diet: ['omnivore', 'vegetarian', 'vegan', 'pescatarian', 'halal', 'kosher', 'other'],
+    hasKids: ['no', 'yes'],
+    wantsKids: ['want', 'dont_want', 'open', 'not_sure'],
+    religion: [
+      'agnostic', 'atheist', 'buddhist', 'christian', 'hindu',
+      'jewish', 'muslim', 'sikh', 'spiritual', 'other'
+    ],
+    politics: ['liberal', 'moderate', 'conservative', 'apolitical', 'other']
+  },
+  // Points per part of a complete profile, 100 in total
+  SCORE_WEIGHTS: {
+    DATE_OF_BIRTH: 10,
+    LOCATION: 10,
+    OCCUPATION: 5,
+    EDUCATION: 5,
+    BIO: 15,
+    INTERESTS: 10,
+    PHOTOS: 25,
+    LIFESTYLE: 10,
+    PROMPTS: 10
+  },
+  PROMPTS: {
+    MAX_PER_PROFILE: 3,
+    MAX_QUESTION_LENGTH: 150,
+    MIN_ANSWER_LENGTH: 2,
+    MAX_ANSWER_LENGTH: 250,
+    MAX_COMMENT_LENGTH: 200
+  },
+  PHOTO_VERIFICATION: {
+    STATUS: {
+      // Pose handed out, waiting for the selfie
+      ASSIGNED: 'assigned',
+      PENDING: 'pending',
+      APPROVED: 'approved',
+      REJECTED: 'rejected'
+    },
+    // Pose id -> instruction shown to the user
+    POSES: {
+      thumbs_up: 'Give a thumbs up next to your face',
+      peace_sign: 'Hold up a peace sign next to your face',
+      hand_on_head: 'Put one hand on top of your head',
+      touch_nose: 'Touch your nose with your index finger',
+      wave: 'Wave at the camera with an open hand',
+      point_up: 'Point up with one finger beside your face'
+    },
+    POSE_EXPIRY: 15 * 60 * 1000, // 15 minutes
+    MAX_REJECTION_REASON_LENGTH: 300
+  },
+  PROFILE_VIEWS: {
+    RETENTION: 90 * 24 * 60 * 60 * 1000 // 90 days
+  }
 };
 
 // Match Related Constants
@@ -30,7 +207,9 @@ const MATCH_CONSTANTS = {
     PENDING: 'pending'
   },
   MAX_COMPATIBILITY_SCORE: 100,
-  MIN_COMPATIBILITY_SCORE: 0
+  MIN_COMPATIBILITY_SCORE: 0,
+  // Distances are stored in meters and shown in miles
+  METERS_PER_MILE: 1609.344
 };
 
 // Message Related Constants
@@ -63,7 +242,10 @@ const NOTIFICATION_CONSTANTS = {
     MESSAGE: 'message',
     LIKE: 'like',
     VIEW: 'view',
-    VIDEO_CALL: 'video_call'
+    VIDEO_CALL: 'video_call',
+    SECURITY: 'security',
+    ACCOUNT: 'account',
+    VERIFICATION: 'verification'
   }
 };
 
@@ -109,6 +291,31 @@ const UPLOAD_CONSTANTS = {
   }
 };
 
+// Personal Data Export Constants
+const DATA_EXPORT_CONSTANTS = {
+  STATUS: {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+  },
+  FORMAT_VERSION: 1,
+  RETENTION: 7 * 24 * 60 * 60 * 1000, // 7 days
+  REQUEST_COOLDOWN: 24 * 60 * 60 * 1000, // 1 day
+  STALE_AFTER: 15 * 60 * 1000, // 15 minutes
+  DOWNLOAD_LINK_EXPIRY: 60 * 60, // 1 hour in seconds
+  ARCHIVE_BUCKET: 'dataExportArchives'
+};
+
+// Scheduled Job Constants
+const JOB_CONSTANTS = {
+  ACCOUNT_PURGE_SCHEDULE: '0 * * * *', // hourly
+  ACCOUNT_PURGE_BATCH_SIZE: 50,
+  DATA_EXPORT_SCHEDULE: '*/5 * * * *', // every 5 minutes
+  DATE_OF_BIRTH_BACKFILL_SCHEDULE: '*/10 * * * *', // every 10 minutes
+  DATE_OF_BIRTH_BACKFILL_BATCH_SIZE: 500
+};
+
 // Database Constants
 const DATABASE_CONSTANTS = {
   CONNECTION_TIMEOUT: 30000,
@@ -119,11 +326,19 @@ const DATABASE_CONSTANTS = {
 module.exports = {
   HTTP_STATUS,
   USER_CONSTANTS,
+  PERMISSIONS,
+  ROLE_CONSTANTS,
+  API_KEY_CONSTANTS,
+  PHONE_VERIFICATION_CONSTANTS,
+  TWO_FACTOR_CONSTANTS,
+  PROFILE_CONSTANTS,
   MATCH_CONSTANTS,
   MESSAGE_CONSTANTS,
   VIDEOCALL_CONSTANTS,
   NOTIFICATION_CONSTANTS,
   SUBSCRIPTION_CONSTANTS,
   UPLOAD_CONSTANTS,
+  DATA_EXPORT_CONSTANTS,
+  JOB_CONSTANTS,
   DATABASE_CONSTANTS
 };
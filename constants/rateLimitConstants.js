@@ -18,6 +18,31 @@ const RATE_LIMIT_CONSTANTS = {
       windowMs: 60 * 60 * 1000, // 1 hour
       max: 100, // 100 registration attempts per hour (scaled for 1000+ users)
       message: 'Too many registration attempts, please try again later'
+    },
+    REFRESH: {
+      windowMs: 15 * 60 * 1000, // 15 minutes
+      max: 300, // 300 token refreshes per 15 minutes
+      message: 'Too many token refresh attempts, please try again later'
+    },
+    PASSWORD_RESET: {
+      windowMs: 60 * 60 * 1000, // 1 hour
+      max: 20, // 20 password reset requests per hour
+      message: 'Too many password reset attempts, please try again later'
+    },
+    PHONE_VERIFICATION: {
+      windowMs: 60 * 60 * 1000, // 1 hour
+      max: 30, // 30 phone code requests and checks per hour
+      message: 'Too many phone verification attempts, please try again later'
+    },
+    // Per-account failed login tracking (complements the per-IP limits above)
+    LOCKOUT: {
+      FREE_ATTEMPTS: 3, // failures allowed before delays kick in
+      BASE_DELAY_MS: 1000, // doubles with every further failure
+      MAX_DELAY_MS: 5 * 60 * 1000, // 5 minutes
+      MAX_ATTEMPTS: 10, // failures before a full lockout
+      LOCK_DURATION_MS: 30 * 60 * 1000, // 30 minutes
+      RESET_AFTER_MS: 60 * 60 * 1000, // forget failures after 1 hour of quiet
+      message: 'Too many failed login attempts, please try again later'
     }
   },
 
@@ -8,6 +8,7 @@ const CLOUDINARY_CONSTANTS = {
   FOLDERS: {
     PROFILES: 'relacio/profiles',
     CHAT: 'relacio/chat',
+    VERIFICATIONS: 'relacio/verifications',
     TEMP: 'relacio/temp'
   },
 
@@ -62,6 +63,21 @@ const DAILY_CONSTANTS = {
   }
 };
 
+// OpenID Connect Constants
+const OIDC_CONSTANTS = {
+  // Issuers used when a provider is enabled without an explicit issuer
+  DEFAULT_ISSUERS: {
+    google: 'https://accounts.google.com',
+    apple: 'https://appleid.apple.com'
+  },
+  DEFAULT_SCOPES: 'openid email profile',
+  ALLOWED_ALGORITHMS: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'],
+  CLOCK_TOLERANCE: 60, // seconds
+  AUTH_REQUEST_EXPIRY: 10 * 60 * 1000, // 10 minutes
+  METADATA_CACHE_TTL: 60 * 60 * 1000, // 1 hour
+  HTTP_TIMEOUT: 10000
+};
+
 // Email Service Constants
 const EMAIL_CONSTANTS = {
   TEMPLATES: {
@@ -69,6 +85,13 @@ const EMAIL_CONSTANTS = {
     WELCOME: 'welcome',
     MATCH_NOTIFICATION: 'match_notification',
     PASSWORD_RESET: 'password_reset',
+    MAGIC_LINK: 'magic_link',
+    ACCOUNT_LOCKED: 'account_locked',
+    PASSWORD_CHANGED: 'password_changed',
+    EMAIL_CHANGE_NOTICE: 'email_change_notice',
+    ACCOUNT_DELETION_SCHEDULED: 'account_deletion_scheduled',
+    ACCOUNT_RESTORED: 'account_restored',
+    DATA_EXPORT_READY: 'data_export_ready',
     REENGAGEMENT: 'reengagement'
   },
   FROM_EMAIL: 'noreply@relacio.com',
@@ -102,12 +125,35 @@ const SOCKET_EVENTS = {
   // User Status Events
   ONLINE_STATUS: 'online_status',
   USER_ONLINE: 'user_online',
-  USER_OFFLINE: 'user_offline'
+  USER_OFFLINE: 'user_offline',
+
+  // Session Events
+  SESSION_REVOKED: 'session_revoked',
+  TOKEN_EXPIRING: 'token_expiring',
+  REAUTHENTICATE: 'reauthenticate',
+  REAUTHENTICATED: 'reauthenticated',
+  FORCE_DISCONNECT: 'force_disconnect'
+};
+
+// Long-lived socket connections outlive the access token they were opened
+// with, so they are re-checked while connected
+const SOCKET_AUTH_CONSTANTS = {
+  REVALIDATION_INTERVAL: 5 * 60 * 1000, // 5 minutes
+  EXPIRY_WARNING: 60 * 1000, // 1 minute before the access token expires
+  DISCONNECT_REASONS: {
+    TOKEN_EXPIRED: 'token_expired',
+    TOKEN_REVOKED: 'token_revoked',
+    SESSION_REVOKED: 'session_revoked',
+    ACCOUNT_SUSPENDED: 'account_suspended',
+    ACCOUNT_DELETED: 'account_deleted'
+  }
 };
 
 module.exports = {
   CLOUDINARY_CONSTANTS,
   DAILY_CONSTANTS,
+  OIDC_CONSTANTS,
   EMAIL_CONSTANTS,
-  SOCKET_EVENTS
+  SOCKET_EVENTS,
+  SOCKET_AUTH_CONSTANTS
 };
@@ -0,0 +1,48 @@
+const cron = require('node-cron');
+const AccountService = require('../services/accountService');
+const DataExportService = require('../services/dataExportService');
+const Profile = require('../models/Profile');
+const { JOB_CONSTANTS } = require('../constants');
+
+// Runs a job, logging failures so one bad run does not stop the schedule.
+// Runs are only logged when one of the counts in the result is non-zero.
+const runJob = (name, job) => async () => {
+  try {
+    const result = await job();
+    if (Object.values(result).some(count => count > 0)) {
+      console.log(`⏰ Job ${name} completed`, result);
+    }
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error.message);
+  }
+};
+
+const startScheduledJobs = () => {
+  const tasks = [
+    cron.schedule(
+      JOB_CONSTANTS.ACCOUNT_PURGE_SCHEDULE,
+      runJob('purge_deleted_accounts', async () => ({
+        purged: await AccountService.purgeExpiredAccounts()
+      }))
+    ),
+    cron.schedule(
+      JOB_CONSTANTS.DATA_EXPORT_SCHEDULE,
+      runJob('process_data_exports', async () => ({
+        processed: await DataExportService.processPendingExports(),
+        archivesRemoved: await DataExportService.deleteExpiredArchives()
+      }))
+    ),
+    cron.schedule(
+      JOB_CONSTANTS.DATE_OF_BIRTH_BACKFILL_SCHEDULE,
+      runJob('backfill_profile_birth_dates', async () => ({
+        migrated: await Profile.backfillDateOfBirth()
+      }))
+    )
+  ];
+
+  return {
+    stop: () => tasks.forEach(task => task.stop())
+  };
+};
+
+module.exports = { startScheduledJobs };
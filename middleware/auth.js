@@ -1,9 +1,11 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
 const AuthService = require('../services/authService');
+const TwoFactorService = require('../services/twoFactorService');
+const ApiKeyService = require('../services/apiKeyService');
 const { HTTP_STATUS } = require('../constants');
 
-const authenticate = async (req, res, next) => {
+const authenticateRequest = (options = {}) => async (req, res, next) => {
+  const { allowUnverified = false } = options;
+
   try {
     const authHeader = req.header('Authorization');
     const token = AuthService.extractTokenFromHeader(authHeader);
@@ -15,11 +17,13 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = AuthService.verifyToken(token);
-    
-    // Get user from database
-    const user = await User.findById(decoded.id).select('-password');
+    // Service integrations authenticate with scoped API keys instead of user tokens
+    if (ApiKeyService.isApiKey(token)) {
+      return await authenticateApiKey(req, res, next, token);
+    }
+
+    // Verify token and check it has not been revoked
+    const { decoded, user, session } = await AuthService.resolveAccessToken(token, { ip: req.ip });
     if (!user) {
       return res.status(HTTP_STATUS.UNAUTHORIZED).json({
         success: false,
@@ -28,15 +32,17 @@ const authenticate = async (req, res, next) => {
     }
 
     // Check if user is active
-    if (!user.isEmailVerified) {
+    if (!allowUnverified && !user.isEmailVerified) {
       return res.status(HTTP_STATUS.UNAUTHORIZED).json({
         success: false,
         message: 'Please verify your email address'
       });
     }
 
-    // Add user to request object
+    // Add user and token claims to request object
     req.user = user;
+    req.tokenPayload = decoded;
+    req.authSession = session;
     next();
   } catch (error) {
     return res.status(HTTP_STATUS.UNAUTHORIZED).json({
@@ -46,16 +52,46 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// API key requests carry no user; actions are attributed to the key and
+// limited to what its creator may currently do
+const authenticateApiKey = async (req, res, next, token) => {
+  const path = req.originalUrl.split('?')[0];
+  if (!ApiKeyService.isPathAllowed(path)) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: 'API keys cannot be used for this endpoint'
+    });
+  }
+
+  const apiKey = await ApiKeyService.resolveApiKey(token, { ip: req.ip });
+  if (!apiKey) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      success: false,
+      message: 'Invalid, expired or revoked API key'
+    });
+  }
+
+  req.apiKey = apiKey;
+  next();
+};
+
+const authenticate = authenticateRequest();
+
+// Accepts users who have not verified their email yet, for the endpoints
+// they need in order to complete verification
+const authenticateAllowUnverified = authenticateRequest({ allowUnverified: true });
+
 const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.header('Authorization');
     const token = AuthService.extractTokenFromHeader(authHeader);
 
     if (token) {
-      const decoded = AuthService.verifyToken(token);
-      const user = await User.findById(decoded.id).select('-password');
+      const { decoded, user, session } = await AuthService.resolveAccessToken(token, { ip: req.ip });
       if (user && user.isEmailVerified) {
         req.user = user;
+        req.tokenPayload = decoded;
+        req.authSession = session;
       }
     }
     
@@ -76,11 +112,23 @@ const requireAuth = (req, res, next) => {
   next();
 };
 
-const requireAdmin = (req, res, next) => {
-  if (!req.user || req.user.role !== 'admin') {
+// Requires every listed permission, e.g. requirePermission('users:delete').
+// API keys are checked against their scopes and act under their creator's
+// two-factor requirement.
+const requirePermission = (...permissions) => (req, res, next) => {
+  const principal = req.apiKey || req.user;
+  if (!principal || !permissions.every(permission => principal.hasPermission(permission))) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+
+  const actor = req.user || req.apiKey.createdBy;
+  if (TwoFactorService.isSetupRequired(actor)) {
     return res.status(HTTP_STATUS.FORBIDDEN).json({
       success: false,
-      message: 'Admin access required'
+      message: 'Two-factor authentication must be enabled for staff access'
     });
   }
   next();
@@ -108,9 +156,10 @@ const requireProfileCompletion = (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateAllowUnverified,
   optionalAuth,
   requireAuth,
-  requireAdmin,
+  requirePermission,
   requireEmailVerification,
   requireProfileCompletion
 };
@@ -33,6 +33,33 @@ const authRateLimit = {
       success: false,
       message: RATE_LIMIT_CONSTANTS.AUTH.REGISTER.message
     }
+  }),
+
+  refresh: rateLimit({
+    windowMs: RATE_LIMIT_CONSTANTS.AUTH.REFRESH.windowMs,
+    max: RATE_LIMIT_CONSTANTS.AUTH.REFRESH.max,
+    message: {
+      success: false,
+      message: RATE_LIMIT_CONSTANTS.AUTH.REFRESH.message
+    }
+  }),
+
+  passwordReset: rateLimit({
+    windowMs: RATE_LIMIT_CONSTANTS.AUTH.PASSWORD_RESET.windowMs,
+    max: RATE_LIMIT_CONSTANTS.AUTH.PASSWORD_RESET.max,
+    message: {
+      success: false,
+      message: RATE_LIMIT_CONSTANTS.AUTH.PASSWORD_RESET.message
+    }
+  }),
+
+  phoneVerification: rateLimit({
+    windowMs: RATE_LIMIT_CONSTANTS.AUTH.PHONE_VERIFICATION.windowMs,
+    max: RATE_LIMIT_CONSTANTS.AUTH.PHONE_VERIFICATION.max,
+    message: {
+      success: false,
+      message: RATE_LIMIT_CONSTANTS.AUTH.PHONE_VERIFICATION.message
+    }
   })
 };
 
@@ -1,5 +1,15 @@
 const { body, param, query, validationResult } = require('express-validator');
-const { HTTP_STATUS, USER_CONSTANTS, MESSAGE_CONSTANTS } = require('../constants');
+const ValidationUtils = require('../utils/validation');
+const {
+  HTTP_STATUS,
+  USER_CONSTANTS,
+  PROFILE_CONSTANTS,
+  MESSAGE_CONSTANTS,
+  PHONE_VERIFICATION_CONSTANTS,
+  ROLE_CONSTANTS,
+  PERMISSIONS,
+  API_KEY_CONSTANTS
+} = require('../constants');
 
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -46,15 +56,226 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+// Refresh token validation
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .isLength({ min: 64, max: 128 })
+    .withMessage('Invalid refresh token'),
+  handleValidationErrors
+];
+
+// Forgot password validation
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  handleValidationErrors
+];
+
+// Reset password validation
+const validateResetPassword = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid reset token'),
+  body('password')
+    .isLength({ min: USER_CONSTANTS.MIN_PASSWORD_LENGTH })
+    .withMessage(`Password must be at least ${USER_CONSTANTS.MIN_PASSWORD_LENGTH} characters long`)
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  handleValidationErrors
+];
+
+// Magic link request validation
+const validateMagicLinkRequest = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  handleValidationErrors
+];
+
+// Magic link verification
+const validateMagicLinkToken = [
+  body('token')
+    .isJWT()
+    .withMessage('Invalid magic link'),
+  handleValidationErrors
+];
+
+// OpenID Connect callback validation
+const validateOidcCallback = [
+  body('code')
+    .isString()
+    .isLength({ min: 1, max: 2048 })
+    .withMessage('Authorization code is required'),
+  body('state')
+    .isString()
+    .isLength({ min: 43, max: 43 })
+    .withMessage('Invalid state'),
+  handleValidationErrors
+];
+
+// Two-factor or recovery code, checked by the route
+const twoFactorCodeRules = [
+  body('code')
+    .optional()
+    .isString()
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code')
+];
+
+// Current password; accounts without one re-authenticate another way, so
+// whether it is required is decided by the route
+const currentPasswordRule = field => body(field)
+  .optional()
+  .isString()
+  .withMessage('Password must be a string');
+
+// Change password validation
+const validateChangePassword = [
+  currentPasswordRule('currentPassword'),
+  ...twoFactorCodeRules,
+  body('newPassword')
+    .isLength({ min: USER_CONSTANTS.MIN_PASSWORD_LENGTH })
+    .withMessage(`Password must be at least ${USER_CONSTANTS.MIN_PASSWORD_LENGTH} characters long`)
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  handleValidationErrors
+];
+
+// Change email validation
+const validateChangeEmail = [
+  body('newEmail')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  currentPasswordRule('currentPassword'),
+  ...twoFactorCodeRules,
+  handleValidationErrors
+];
+
+// Account deletion validation
+const validateAccountDeletion = [
+  currentPasswordRule('password'),
+  ...twoFactorCodeRules,
+  handleValidationErrors
+];
+
+// Phone number validation (normalizes to E.164)
+const validatePhoneNumber = [
+  body('phoneNumber')
+    .isString()
+    .custom(value => ValidationUtils.normalizePhoneNumber(value) !== null)
+    .withMessage('Please provide a valid phone number in international format, e.g. +14155550123')
+    .customSanitizer(value => ValidationUtils.normalizePhoneNumber(value)),
+  handleValidationErrors
+];
+
+// Phone verification code validation
+const validatePhoneCode = [
+  body('code')
+    .isString()
+    .matches(new RegExp(`^\\d{${PHONE_VERIFICATION_CONSTANTS.CODE_LENGTH}}$`))
+    .withMessage(`Verification code must be ${PHONE_VERIFICATION_CONSTANTS.CODE_LENGTH} digits`),
+  handleValidationErrors
+];
+
+// Two-factor code validation
+const validateTwoFactorCode = [
+  body('code')
+    .isString()
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits'),
+  handleValidationErrors
+];
+
+// Two-factor login validation
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...twoFactorCodeRules,
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('A two-factor code or recovery code is required'),
+  handleValidationErrors
+];
+
+// Two-factor disable validation
+const validateTwoFactorDisable = [
+  currentPasswordRule('password'),
+  ...validateTwoFactorLogin.slice(1)
+];
+
+// Coordinate pair validation
+const latitudeRule = (field = body('latitude')) => field
+  .isFloat({ min: -90, max: 90 })
+  .withMessage('Latitude must be between -90 and 90')
+  .toFloat();
+
+const longitudeRule = (field = body('longitude')) => field
+  .isFloat({ min: -180, max: 180 })
+  .withMessage('Longitude must be between -180 and 180')
+  .toFloat();
+
+const GENDERS = Object.values(PROFILE_CONSTANTS.GENDERS);
+
+const interestedInRules = [
+  body('preferences.interestedIn')
+    .optional()
+    .isArray({ max: GENDERS.length })
+    .withMessage('Interested in must be a list of genders'),
+  body('preferences.interestedIn.*')
+    .isIn(GENDERS)
+    .withMessage(`Interested in must only contain: ${GENDERS.join(', ')}`)
+];
+
+const verifiedOnlyRule = body('preferences.verifiedOnly')
+  .optional()
+  .isBoolean()
+  .withMessage('Verified only must be true or false')
+  .toBoolean(true);
+
+// Lifestyle answers may be cleared with null; visibility flags are booleans
+const lifestyleRules = Object.entries(PROFILE_CONSTANTS.LIFESTYLE_OPTIONS).flatMap(([field, options]) => [
+  body(`lifestyle.${field}`)
+    .optional({ nullable: true })
+    .isIn(options)
+    .withMessage(`${field} must be one of: ${options.join(', ')}`),
+  body(`lifestyleVisibility.${field}`)
+    .optional()
+    .isBoolean()
+    .withMessage(`${field} visibility must be true or false`)
+    .toBoolean(true)
+]);
+
 // Profile setup validation
 const validateProfileSetup = [
-  body('age')
-    .isInt({ min: 18, max: 100 })
-    .withMessage('Age must be between 18 and 100'),
+  body('dateOfBirth')
+    .isISO8601({ strict: true })
+    .withMessage('Date of birth must be a valid date (YYYY-MM-DD)')
+    .bail()
+    .custom(value => ValidationUtils.validateDateOfBirth(value))
+    .withMessage('You must be between 18 and 100 years old'),
   body('location')
     .trim()
     .isLength({ min: 2, max: 100 })
     .withMessage('Location must be between 2 and 100 characters'),
+  // Coordinates are optional at setup but must come as a pair
+  latitudeRule(body('latitude').if(body('longitude').exists())),
+  longitudeRule(body('longitude').if(body('latitude').exists())),
+  body('gender')
+    .isIn(GENDERS)
+    .withMessage(`Gender must be one of: ${GENDERS.join(', ')}`),
   body('occupation')
     .optional()
     .trim()
@@ -95,15 +316,25 @@ const validateProfileSetup = [
     .optional()
     .isIn(['casual', 'serious', 'friendship', 'anything'])
     .withMessage('Invalid relationship preference'),
+  ...interestedInRules,
+  verifiedOnlyRule,
+  ...lifestyleRules,
   handleValidationErrors
 ];
 
 // Profile update validation
 const validateProfileUpdate = [
-  body('age')
+  body('dateOfBirth')
     .optional()
-    .isInt({ min: 18, max: 100 })
-    .withMessage('Age must be between 18 and 100'),
+    .isISO8601({ strict: true })
+    .withMessage('Date of birth must be a valid date (YYYY-MM-DD)')
+    .bail()
+    .custom(value => ValidationUtils.validateDateOfBirth(value))
+    .withMessage('You must be between 18 and 100 years old'),
+  body('gender')
+    .optional()
+    .isIn(GENDERS)
+    .withMessage(`Gender must be one of: ${GENDERS.join(', ')}`),
   body('location')
     .optional()
     .trim()
@@ -128,6 +359,154 @@ const validateProfileUpdate = [
     .optional()
     .isArray({ max: USER_CONSTANTS.MAX_INTERESTS })
     .withMessage(`Cannot have more than ${USER_CONSTANTS.MAX_INTERESTS} interests`),
+  body('isIncognito')
+    .optional()
+    .isBoolean()
+    .withMessage('Incognito must be true or false')
+    .toBoolean(true),
+  ...interestedInRules,
+  verifiedOnlyRule,
+  ...lifestyleRules,
+  handleValidationErrors
+];
+
+// Prompt answers validation; the array order is the display order
+const validatePromptAnswers = [
+  body('prompts')
+    .isArray({ max: PROFILE_CONSTANTS.PROMPTS.MAX_PER_PROFILE })
+    .withMessage(`You can answer up to ${PROFILE_CONSTANTS.PROMPTS.MAX_PER_PROFILE} prompts`),
+  body('prompts.*.promptId')
+    .isMongoId()
+    .withMessage('Invalid prompt ID'),
+  body('prompts.*.answer')
+    .isString()
+    .trim()
+    .isLength({ min: PROFILE_CONSTANTS.PROMPTS.MIN_ANSWER_LENGTH, max: PROFILE_CONSTANTS.PROMPTS.MAX_ANSWER_LENGTH })
+    .withMessage(`Each answer must be between ${PROFILE_CONSTANTS.PROMPTS.MIN_ANSWER_LENGTH} and ${PROFILE_CONSTANTS.PROMPTS.MAX_ANSWER_LENGTH} characters`),
+  body('prompts')
+    .custom(prompts => new Set(prompts.map(prompt => prompt.promptId)).size === prompts.length)
+    .withMessage('Each prompt can only be answered once'),
+  handleValidationErrors
+];
+
+// Prompt catalog validation
+const validatePromptCreation = [
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: PROFILE_CONSTANTS.PROMPTS.MAX_QUESTION_LENGTH })
+    .withMessage(`Prompt text must be between 1 and ${PROFILE_CONSTANTS.PROMPTS.MAX_QUESTION_LENGTH} characters`),
+  handleValidationErrors
+];
+
+const validatePromptUpdate = [
+  body('text')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: PROFILE_CONSTANTS.PROMPTS.MAX_QUESTION_LENGTH })
+    .withMessage(`Prompt text must be between 1 and ${PROFILE_CONSTANTS.PROMPTS.MAX_QUESTION_LENGTH} characters`),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean(true),
+  handleValidationErrors
+];
+
+// Location update validation
+const validateLocationUpdate = [
+  latitudeRule(),
+  longitudeRule(),
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Location must be between 2 and 100 characters'),
+  handleValidationErrors
+];
+
+// Profile pause validation
+const validateProfilePause = [
+  body('paused')
+    .isBoolean()
+    .withMessage('Paused must be true or false')
+    .toBoolean(true),
+  handleValidationErrors
+];
+
+// Photo gallery validation
+const captionRule = (field) => body(field)
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ max: USER_CONSTANTS.MAX_PHOTO_CAPTION_LENGTH })
+  .withMessage(`Caption cannot exceed ${USER_CONSTANTS.MAX_PHOTO_CAPTION_LENGTH} characters`);
+
+const validatePhotoOrder = [
+  body('photoIds')
+    .isArray({ min: 1, max: USER_CONSTANTS.MAX_PHOTOS })
+    .withMessage('photoIds must be a non-empty array of photo IDs'),
+  body('photoIds.*')
+    .isMongoId()
+    .withMessage('Invalid photo ID'),
+  body('photoIds')
+    .custom(photoIds => new Set(photoIds).size === photoIds.length)
+    .withMessage('Each photo can only be listed once'),
+  handleValidationErrors
+];
+
+const validatePhotoCaption = [
+  body('caption')
+    .exists()
+    .withMessage('Caption is required'),
+  captionRule('caption'),
+  handleValidationErrors
+];
+
+// The gallery arrives as a JSON string alongside the uploaded files. Each item
+// either keeps an existing photo ({ photoId }) or places a new upload
+// ({ upload: <index into the photos files> }), with optional caption/isMain.
+const validatePhotoGallery = [
+  body('gallery')
+    .customSanitizer(value => {
+      if (typeof value !== 'string') {
+        return value;
+      }
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    })
+    .isArray({ max: USER_CONSTANTS.MAX_PHOTOS })
+    .withMessage(`Gallery must be an array of up to ${USER_CONSTANTS.MAX_PHOTOS} photos`)
+    .bail()
+    .custom(gallery => {
+      const photoIds = gallery.map(item => item?.photoId).filter(Boolean);
+      const uploads = gallery.map(item => item?.upload).filter(upload => upload !== undefined);
+      return new Set(photoIds).size === photoIds.length && new Set(uploads.map(String)).size === uploads.length;
+    })
+    .withMessage('Each photo and upload can only appear once')
+    .custom(gallery => gallery.filter(item => item?.isMain === true || item?.isMain === 'true').length <= 1)
+    .withMessage('Only one photo can be set as main'),
+  body('gallery.*')
+    .custom(item => item !== null && typeof item === 'object' &&
+      ((item.photoId !== undefined) !== (item.upload !== undefined)))
+    .withMessage('Each gallery item needs either a photoId or an upload index'),
+  body('gallery.*.photoId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid photo ID'),
+  body('gallery.*.upload')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Upload index must be a non-negative integer')
+    .toInt(),
+  captionRule('gallery.*.caption'),
+  body('gallery.*.isMain')
+    .optional()
+    .isBoolean()
+    .withMessage('isMain must be true or false')
+    .toBoolean(true),
   handleValidationErrors
 ];
 
@@ -163,6 +542,19 @@ const validateSwipe = [
   body('action')
     .isIn(['like', 'pass', 'super_like'])
     .withMessage('Invalid swipe action'),
+  body('promptId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid prompt ID'),
+  body('comment')
+    .optional()
+    .custom((value, { req }) => !!req.body.promptId)
+    .withMessage('A comment must be left on a prompt')
+    .bail()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: PROFILE_CONSTANTS.PROMPTS.MAX_COMMENT_LENGTH })
+    .withMessage(`Comment must be between 1 and ${PROFILE_CONSTANTS.PROMPTS.MAX_COMMENT_LENGTH} characters`),
   handleValidationErrors
 ];
 
@@ -193,11 +585,76 @@ const validateNotification = [
 // Email verification validation
 const validateEmailVerification = [
   body('token')
-    .isLength({ min: 32, max: 64 })
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
     .withMessage('Invalid verification token'),
   handleValidationErrors
 ];
 
+// Role update validation
+const validateRoleUpdate = [
+  body('role')
+    .isIn(Object.values(ROLE_CONSTANTS.ROLES))
+    .withMessage(`Role must be one of: ${Object.values(ROLE_CONSTANTS.ROLES).join(', ')}`),
+  handleValidationErrors
+];
+
+// Account suspension validation
+const validateAccountSuspension = [
+  body('suspended')
+    .isBoolean()
+    .withMessage('Suspended must be true or false')
+    .toBoolean(true),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Two-factor requirement validation; null falls back to the default
+const validateTwoFactorRequirement = [
+  body('required')
+    .custom(value => value === null || typeof value === 'boolean')
+    .withMessage('Required must be true, false or null'),
+  handleValidationErrors
+];
+
+// Photo verification review validation; rejections must say why
+const validatePhotoVerificationReview = [
+  body('approved')
+    .isBoolean()
+    .withMessage('Approved must be true or false')
+    .toBoolean(true),
+  body('reason')
+    .if((value, { req }) => req.body.approved === false)
+    .trim()
+    .isLength({ min: 1, max: PROFILE_CONSTANTS.PHOTO_VERIFICATION.MAX_REJECTION_REASON_LENGTH })
+    .withMessage(`A rejection reason of up to ${PROFILE_CONSTANTS.PHOTO_VERIFICATION.MAX_REJECTION_REASON_LENGTH} characters is required`),
+  handleValidationErrors
+];
+
+// API key creation validation
+const validateApiKeyCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(Object.values(PERMISSIONS).filter(scope => !API_KEY_CONSTANTS.RESTRICTED_SCOPES.includes(scope)))
+    .withMessage('Invalid scope'),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: API_KEY_CONSTANTS.MAX_EXPIRY_DAYS })
+    .withMessage(`Expiry must be between 1 and ${API_KEY_CONSTANTS.MAX_EXPIRY_DAYS} days`)
+    .toInt(),
+  handleValidationErrors
+];
+
 // Pagination validation
 const validatePagination = [
   query('page')
@@ -234,13 +691,40 @@ const validateRequest = (validations) => {
 module.exports = {
   validateRegistration,
   validateLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateMagicLinkRequest,
+  validateMagicLinkToken,
+  validateOidcCallback,
+  validateChangePassword,
+  validateChangeEmail,
+  validateAccountDeletion,
+  validatePhoneNumber,
+  validatePhoneCode,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
   validateProfileSetup,
   validateProfileUpdate,
+  validateLocationUpdate,
+  validateProfilePause,
+  validatePromptAnswers,
+  validatePromptCreation,
+  validatePromptUpdate,
+  validatePhotoOrder,
+  validatePhotoCaption,
+  validatePhotoGallery,
   validateMessage,
   validateSwipe,
   validateVideoCall,
   validateNotification,
   validateEmailVerification,
+  validateRoleUpdate,
+  validateAccountSuspension,
+  validateTwoFactorRequirement,
+  validatePhotoVerificationReview,
+  validateApiKeyCreation,
   validatePagination,
   validateObjectId,
   validateRequest,
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../constants');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Public identifier embedded in the key, used to look it up
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: Object.values(PERMISSIONS)
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+apiKeySchema.index({ createdAt: -1 });
+apiKeySchema.index({ revokedAt: 1, expiresAt: 1 });
+
+// Check if key can still be used
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Mirrors User#hasPermission so keys can pass requirePermission. A scope
+// only counts while the creator's role still grants it, so demoting the
+// creator narrows their keys too; the creator must be populated.
+apiKeySchema.methods.hasPermission = function(permission) {
+  const creator = this.populated('createdBy') ? this.createdBy : null;
+  return this.scopes.includes(permission) && !!creator && creator.hasPermission(permission);
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A user hiding another user from themselves; either side of a block keeps
+// the two apart
+const blockSchema = new mongoose.Schema({
+  blockerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blockedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+blockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+blockSchema.index({ blockedId: 1 });
+
+// Check if either user has blocked the other
+blockSchema.statics.isBlockedBetween = async function(userId1, userId2) {
+  const block = await this.exists({
+    $or: [
+      { blockerId: userId1, blockedId: userId2 },
+      { blockerId: userId2, blockedId: userId1 }
+    ]
+  });
+  return !!block;
+};
+
+// Ids of everyone the user blocked or was blocked by
+blockSchema.statics.getBlockedUserIds = async function(userId) {
+  const blocks = await this.find({
+    $or: [
+      { blockerId: userId },
+      { blockedId: userId }
+    ]
+  }).lean();
+
+  return blocks.map(block =>
+    (block.blockerId.toString() === userId.toString() ? block.blockedId : block.blockerId).toString()
+  );
+};
+
+module.exports = mongoose.model('Block', blockSchema);
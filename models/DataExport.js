@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { DATA_EXPORT_CONSTANTS } = require('../constants');
+
+const dataExportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(DATA_EXPORT_CONSTANTS.STATUS),
+    default: DATA_EXPORT_CONSTANTS.STATUS.PENDING
+  },
+  // GridFS file holding the JSON archive; archives can outgrow the 16MB
+  // document limit, so they are not stored inline
+  archiveFileId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  size: {
+    type: Number
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  error: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, createdAt: 1 });
+dataExportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if the archive can be downloaded
+dataExportSchema.methods.isDownloadable = function() {
+  return this.status === DATA_EXPORT_CONSTANTS.STATUS.COMPLETED && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { MATCH_CONSTANTS } = require('../constants');
+const { MATCH_CONSTANTS, PROFILE_CONSTANTS } = require('../constants');
 
 const matchSchema = new mongoose.Schema({
   user1Id: {
@@ -34,7 +34,36 @@ const matchSchema = new mongoose.Schema({
     min: MATCH_CONSTANTS.MIN_COMPATIBILITY_SCORE,
     max: MATCH_CONSTANTS.MAX_COMPATIBILITY_SCORE,
     default: 0
-  }
+  },
+  // Likes aimed at a specific prompt answer. The question and answer are
+  // copied so the reaction still makes sense if the answer is edited later.
+  promptReactions: [{
+    fromUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    promptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Prompt',
+      required: true
+    },
+    question: {
+      type: String
+    },
+    answer: {
+      type: String
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [PROFILE_CONSTANTS.PROMPTS.MAX_COMMENT_LENGTH, `Comment cannot exceed ${PROFILE_CONSTANTS.PROMPTS.MAX_COMMENT_LENGTH} characters`]
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
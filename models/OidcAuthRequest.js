@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Server-side half of an in-flight OpenID Connect login. The browser only
+// carries the state value; the PKCE verifier and nonce never leave the server.
+const oidcAuthRequestSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+oidcAuthRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcAuthRequest', oidcAuthRequestSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { PROFILE_CONSTANTS } = require('../constants');
+
+const { STATUS, POSES, MAX_REJECTION_REASON_LENGTH } = PROFILE_CONSTANTS.PHOTO_VERIFICATION;
+
+// One verification attempt: a randomly assigned pose, the selfie taken in
+// it and the moderator's decision
+const photoVerificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  pose: {
+    type: String,
+    enum: Object.keys(POSES),
+    required: true
+  },
+  poseExpiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(STATUS),
+    default: STATUS.ASSIGNED
+  },
+  selfieUrl: {
+    type: String
+  },
+  selfiePublicId: {
+    type: String
+  },
+  submittedAt: {
+    type: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set instead of reviewedBy when the decision came in through an API key
+  reviewedByApiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [MAX_REJECTION_REASON_LENGTH, `Reason cannot exceed ${MAX_REJECTION_REASON_LENGTH} characters`]
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+photoVerificationSchema.index({ userId: 1, createdAt: -1 });
+photoVerificationSchema.index({ status: 1, submittedAt: 1 });
+
+// Check if the assigned pose can still be answered with a selfie
+photoVerificationSchema.methods.isAwaitingSelfie = function() {
+  return this.status === STATUS.ASSIGNED && this.poseExpiresAt > new Date();
+};
+
+module.exports = mongoose.model('PhotoVerification', photoVerificationSchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
-const { USER_CONSTANTS } = require('../constants');
+const MatchingUtils = require('../utils/matchingUtils');
+const { USER_CONSTANTS, PROFILE_CONSTANTS, JOB_CONSTANTS } = require('../constants');
+
+const LIFESTYLE_FIELDS = Object.keys(PROFILE_CONSTANTS.LIFESTYLE_OPTIONS);
+const { PROMPTS } = PROFILE_CONSTANTS;
 
 const profileSchema = new mongoose.Schema({
   userId: {
@@ -8,17 +12,51 @@ const profileSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  dateOfBirth: {
+    type: Date,
+    validate: {
+      validator: function(dateOfBirth) {
+        const age = MatchingUtils.calculateAge(dateOfBirth);
+        return age >= 18 && age <= 100;
+      },
+      message: 'Must be between 18 and 100 years old'
+    }
+  },
+  // Set when dateOfBirth was estimated from a legacy age and the owner has
+  // not confirmed it yet
+  dateOfBirthEstimated: {
+    type: Boolean,
+    default: false
+  },
+  // Legacy static age, only present on profiles not yet backfilled with a
+  // dateOfBirth. Use Profile.getAge() to read a profile's age.
   age: {
-    type: Number,
-    required: [true, 'Age is required'],
-    min: [18, 'Must be at least 18 years old'],
-    max: [100, 'Age cannot exceed 100']
+    type: Number
+  },
+  gender: {
+    type: String,
+    enum: Object.values(PROFILE_CONSTANTS.GENDERS)
   },
+  // Display city
   location: {
     type: String,
     required: [true, 'Location is required'],
     trim: true
   },
+  // Precise position used for distance filtering, never shown to other users
+  geoLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    }
+  },
+  locationUpdatedAt: {
+    type: Date
+  },
   occupation: {
     type: String,
     trim: true,
@@ -57,11 +95,36 @@ const profileSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    caption: {
+      type: String,
+      trim: true,
+      maxlength: [USER_CONSTANTS.MAX_PHOTO_CAPTION_LENGTH, `Caption cannot exceed ${USER_CONSTANTS.MAX_PHOTO_CAPTION_LENGTH} characters`]
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
     }
   }],
+  // Answers to catalog prompts, shown in the owner's chosen order
+  prompts: [{
+    promptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Prompt',
+      required: true
+    },
+    answer: {
+      type: String,
+      required: [true, 'Prompt answer is required'],
+      trim: true,
+      minlength: [PROMPTS.MIN_ANSWER_LENGTH, `Prompt answer must be at least ${PROMPTS.MIN_ANSWER_LENGTH} characters`],
+      maxlength: [PROMPTS.MAX_ANSWER_LENGTH, `Prompt answer cannot exceed ${PROMPTS.MAX_ANSWER_LENGTH} characters`]
+    },
+    order: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
   preferences: {
     ageRange: {
       min: {
@@ -85,8 +148,64 @@ const profileSchema = new mongoose.Schema({
       type: String,
       enum: ['casual', 'serious', 'friendship', 'anything'],
       default: 'anything'
+    },
+    // Empty means open to everyone
+    interestedIn: [{
+      type: String,
+      enum: Object.values(PROFILE_CONSTANTS.GENDERS)
+    }],
+    verifiedOnly: {
+      type: Boolean,
+      default: false
     }
   },
+  lifestyle: LIFESTYLE_FIELDS.reduce((fields, field) => {
+    fields[field] = {
+      type: String,
+      enum: [...PROFILE_CONSTANTS.LIFESTYLE_OPTIONS[field], null]
+    };
+    return fields;
+  }, {}),
+  // Per-field toggles; hidden answers are kept out of other users' view and
+  // out of compatibility scoring
+  lifestyleVisibility: LIFESTYLE_FIELDS.reduce((fields, field) => {
+    fields[field] = {
+      type: Boolean,
+      default: true
+    };
+    return fields;
+  }, {}),
+  // Badge mirrored from the owner's verified phone number
+  isPhoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Set once a moderator approves a pose-matching selfie
+  isPhotoVerified: {
+    type: Boolean,
+    default: false
+  },
+  photoVerifiedAt: {
+    type: Date
+  },
+  // Hidden profiles are left out of discovery
+  isVisible: {
+    type: Boolean,
+    default: true
+  },
+  // Paused profiles are hidden from everyone until the user resumes
+  isPaused: {
+    type: Boolean,
+    default: false
+  },
+  pausedAt: {
+    type: Date
+  },
+  // Incognito users browse without their views being recorded
+  isIncognito: {
+    type: Boolean,
+    default: false
+  },
   profileScore: {
     type: Number,
     default: 0,
@@ -109,10 +228,13 @@ const profileSchema = new mongoose.Schema({
 
 // Indexes for performance
 profileSchema.index({ userId: 1 });
-profileSchema.index({ age: 1 });
+profileSchema.index({ dateOfBirth: 1 });
+profileSchema.index({ gender: 1, 'preferences.interestedIn': 1 });
 profileSchema.index({ location: 1 });
+profileSchema.index({ geoLocation: '2dsphere' });
 profileSchema.index({ 'preferences.ageRange.min': 1, 'preferences.ageRange.max': 1 });
 profileSchema.index({ profileScore: -1 });
+profileSchema.index({ isVisible: 1 });
 
 // Validate photos array length
 profileSchema.pre('save', function(next) {
@@ -125,6 +247,21 @@ profileSchema.pre('save', function(next) {
   if (mainPhotos.length > 1) {
     return next(new Error('Only one photo can be set as main'));
   }
+
+  // A gallery always has a main photo; default to the first one
+  if (mainPhotos.length === 0 && this.photos.length > 0) {
+    this.photos[0].isMain = true;
+  }
+
+  if (this.prompts.length > PROMPTS.MAX_PER_PROFILE) {
+    return next(new Error(`Cannot answer more than ${PROMPTS.MAX_PER_PROFILE} prompts`));
+  }
+
+  // Each prompt can only be answered once
+  const promptIds = this.prompts.map(prompt => prompt.promptId.toString());
+  if (new Set(promptIds).size !== promptIds.length) {
+    return next(new Error('Each prompt can only be answered once'));
+  }
   
   next();
 });
@@ -132,26 +269,123 @@ profileSchema.pre('save', function(next) {
 // Calculate profile completion score
 profileSchema.methods.calculateProfileScore = function() {
   let score = 0;
-  const fields = {
-    age: 10,
-    location: 10,
-    occupation: 10,
-    education: 10,
-    bio: 15,
-    interests: 15,
-    photos: 30
+  const weights = PROFILE_CONSTANTS.SCORE_WEIGHTS;
+
+  if (this.dateOfBirth || this.age) score += weights.DATE_OF_BIRTH;
+  if (this.location) score += weights.LOCATION;
+  if (this.occupation) score += weights.OCCUPATION;
+  if (this.education) score += weights.EDUCATION;
+  if (this.bio && this.bio.length > 20) score += weights.BIO;
+  if (this.interests && this.interests.length >= 3) score += weights.INTERESTS;
+  if (this.photos && this.photos.length >= 2) score += weights.PHOTOS;
+  if (this.constructor.getAnsweredLifestyleCount(this) >= 4) score += weights.LIFESTYLE;
+  if (this.prompts && this.prompts.length > 0) score += weights.PROMPTS;
+
+  this.profileScore = Math.min(score, 100);
+  return this.profileScore;
+};
+
+// Set the precise position from latitude/longitude
+profileSchema.methods.setCoordinates = function(latitude, longitude) {
+  this.geoLocation = {
+    type: 'Point',
+    coordinates: [longitude, latitude]
   };
+  this.locationUpdatedAt = new Date();
+};
+
+profileSchema.methods.clearCoordinates = function() {
+  this.geoLocation = undefined;
+  this.locationUpdatedAt = new Date();
+};
+
+profileSchema.methods.hasCoordinates = function() {
+  return !!(this.geoLocation && this.geoLocation.coordinates && this.geoLocation.coordinates.length === 2);
+};
 
-  if (this.age) score += fields.age;
-  if (this.location) score += fields.location;
-  if (this.occupation) score += fields.occupation;
-  if (this.education) score += fields.education;
-  if (this.bio && this.bio.length > 20) score += fields.bio;
-  if (this.interests && this.interests.length >= 3) score += fields.interests;
-  if (this.photos && this.photos.length >= 2) score += fields.photos;
+// Current age from the birth date, falling back to a legacy static age.
+// Works on documents and lean objects alike.
+profileSchema.statics.getAge = function(profile) {
+  if (profile.dateOfBirth) {
+    return MatchingUtils.calculateAge(profile.dateOfBirth);
+  }
+  return profile.age || null;
+};
+
+// Migrates profiles that only have a static age. The birth date is estimated
+// as the midpoint of the year the age covers and flagged for the owner to
+// confirm.
+profileSchema.statics.backfillDateOfBirth = async function(batchSize = JOB_CONSTANTS.DATE_OF_BIRTH_BACKFILL_BATCH_SIZE) {
+  const profiles = await this.find({
+    dateOfBirth: { $exists: false },
+    age: { $exists: true }
+  })
+    .select('age')
+    .limit(batchSize)
+    .lean();
+
+  if (profiles.length === 0) {
+    return 0;
+  }
+
+  await this.bulkWrite(profiles.map(profile => {
+    const dateOfBirth = new Date();
+    dateOfBirth.setFullYear(dateOfBirth.getFullYear() - profile.age);
+    dateOfBirth.setMonth(dateOfBirth.getMonth() - 6);
+
+    return {
+      updateOne: {
+        filter: { _id: profile._id, dateOfBirth: { $exists: false } },
+        update: {
+          $set: { dateOfBirth, dateOfBirthEstimated: true },
+          $unset: { age: '' }
+        }
+      }
+    };
+  }));
+
+  return profiles.length;
+};
+
+// Number of lifestyle questions answered
+profileSchema.statics.getAnsweredLifestyleCount = function(profile) {
+  return LIFESTYLE_FIELDS.filter(field => profile.lifestyle && profile.lifestyle[field]).length;
+};
+
+// Lifestyle answers the owner has chosen to show. Works on documents and
+// lean objects alike.
+profileSchema.statics.getVisibleLifestyle = function(profile) {
+  return LIFESTYLE_FIELDS.reduce((visible, field) => {
+    const value = profile.lifestyle && profile.lifestyle[field];
+    const isVisible = !profile.lifestyleVisibility || profile.lifestyleVisibility[field] !== false;
+    if (value && isVisible) {
+      visible[field] = value;
+    }
+    return visible;
+  }, {});
+};
+
+// Prompt answers in display order. Expects prompts.promptId to be populated
+// with the catalog text; works on documents and lean objects alike.
+profileSchema.statics.formatPrompts = function(profile) {
+  return [...(profile.prompts || [])]
+    .sort((a, b) => a.order - b.order)
+    .map(prompt => {
+      const catalogPrompt = prompt.promptId && prompt.promptId.text !== undefined ? prompt.promptId : null;
+      return {
+        id: prompt._id,
+        promptId: catalogPrompt ? catalogPrompt._id : prompt.promptId,
+        question: catalogPrompt ? catalogPrompt.text : null,
+        answer: prompt.answer
+      };
+    });
+};
 
-  this.profileScore = score;
-  return score;
+// Verification vouches for the photos on the profile when it was approved;
+// adding or removing a photo voids it
+profileSchema.methods.resetPhotoVerification = function() {
+  this.isPhotoVerified = false;
+  this.photoVerifiedAt = undefined;
 };
 
 // Get main photo
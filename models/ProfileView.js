@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { PROFILE_CONSTANTS } = require('../constants');
+
+// One row per viewer, viewed user and (UTC) day; repeat views on the same
+// day are not recorded again
+const profileViewSchema = new mongoose.Schema({
+  viewerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  vieweeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  day: {
+    type: Date,
+    required: true
+  },
+  viewedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for performance
+profileViewSchema.index({ viewerId: 1, vieweeId: 1, day: 1 }, { unique: true });
+profileViewSchema.index({ vieweeId: 1, viewedAt: -1 });
+profileViewSchema.index({ viewedAt: 1 }, { expireAfterSeconds: PROFILE_CONSTANTS.PROFILE_VIEWS.RETENTION / 1000 });
+
+// Start of the UTC day a view falls on
+profileViewSchema.statics.getDay = function(date = new Date()) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+module.exports = mongoose.model('ProfileView', profileViewSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { PROFILE_CONSTANTS } = require('../constants');
+
+// Catalog of questions users can answer on their profile, curated by staff
+const promptSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Prompt text is required'],
+    trim: true,
+    unique: true,
+    maxlength: [PROFILE_CONSTANTS.PROMPTS.MAX_QUESTION_LENGTH, `Prompt text cannot exceed ${PROFILE_CONSTANTS.PROMPTS.MAX_QUESTION_LENGTH} characters`]
+  },
+  // Retired prompts stay on profiles that already answered them but can no
+  // longer be picked
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set instead of createdBy/updatedBy when an API key made the change
+  createdByApiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedByApiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+promptSchema.index({ isActive: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Prompt', promptSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdByIp: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+refreshTokenSchema.index({ sessionId: 1 });
+refreshTokenSchema.index({ userId: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if token can still be exchanged
+refreshTokenSchema.methods.isActive = function() {
+  return !this.usedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Static method to revoke every token issued for a session
+refreshTokenSchema.statics.revokeForSession = function(sessionId) {
+  return this.updateMany(
+    { sessionId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Static method to revoke all tokens issued to a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    default: 'logout'
+  },
+  // Matches the access token's own expiry; the TTL index drops the entry once
+  // the token could no longer be used anyway
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to check if a token id has been revoked
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  const entry = await this.exists({ jti });
+  return !!entry;
+};
+
+// Static method to revoke a token id until it expires
+revokedTokenSchema.statics.revoke = function(jti, expiresAt, data = {}) {
+  return this.updateOne(
+    { jti },
+    {
+      $setOnInsert: {
+        jti,
+        expiresAt,
+        userId: data.userId,
+        reason: data.reason || 'logout'
+      }
+    },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
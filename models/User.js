@@ -1,6 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const { USER_CONSTANTS } = require('../constants');
+const { USER_CONSTANTS, ROLE_CONSTANTS, RATE_LIMIT_CONSTANTS, SUBSCRIPTION_CONSTANTS } = require('../constants');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -20,12 +20,88 @@ const userSchema = new mongoose.Schema({
     minlength: [USER_CONSTANTS.MIN_PASSWORD_LENGTH, `Password must be at least ${USER_CONSTANTS.MIN_PASSWORD_LENGTH} characters long`],
     select: false
   },
+  // False for social-only accounts, whose stored password is random and
+  // unknown to the user, until they set one of their own
+  hasPassword: {
+    type: Boolean,
+    default: true
+  },
   name: {
     type: String,
     required: [true, 'Name is required'],
     trim: true,
     maxlength: [50, 'Name cannot exceed 50 characters']
   },
+  // New address awaiting verification; the current email stays active until then
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Stored in E.164 format once verified
+  phoneNumber: {
+    type: String,
+    trim: true
+  },
+  isPhoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: {
+    type: Date
+  },
+  // Pending one-time code; only the hash is stored
+  phoneVerification: {
+    phoneNumber: {
+      type: String,
+      select: false
+    },
+    codeHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: {
+      type: Date,
+      select: false
+    },
+    attempts: {
+      type: Number,
+      select: false
+    },
+    sentAt: {
+      type: Date,
+      select: false
+    },
+    // Codes sent in the current daily window
+    sendCount: {
+      type: Number,
+      select: false
+    },
+    sendWindowStart: {
+      type: Date,
+      select: false
+    }
+  },
+  // External OpenID Connect accounts linked to this user
+  oidcIdentities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   hasCompletedProfile: {
     type: Boolean,
     default: false
@@ -38,6 +114,69 @@ const userSchema = new mongoose.Schema({
     type: String,
     select: false
   },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // TOTP secrets are stored encrypted, recovery codes as hashes
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    },
+    // Set by an admin to force 2FA on or off for this account; null follows
+    // the REQUIRE_ADMIN_2FA default for staff roles
+    required: {
+      type: Boolean,
+      default: null
+    }
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  // Bumped to invalidate every access token issued before it
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   subscription: {
     plan: {
       type: String,
@@ -59,8 +198,35 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    enum: Object.values(ROLE_CONSTANTS.ROLES),
+    default: ROLE_CONSTANTS.ROLES.USER
+  },
+  accountStatus: {
+    type: String,
+    enum: Object.values(USER_CONSTANTS.ACCOUNT_STATUS),
+    default: USER_CONSTANTS.ACCOUNT_STATUS.ACTIVE
+  },
+  deletionRequestedAt: {
+    type: Date
+  },
+  // Account is purged by the scheduled job once this passes
+  deletionScheduledFor: {
+    type: Date
+  },
+  suspendedAt: {
+    type: Date
+  },
+  suspensionReason: {
+    type: String,
+    maxlength: [500, 'Suspension reason cannot exceed 500 characters']
+  },
+  // What reinstating the account restores
+  statusBeforeSuspension: {
+    type: String,
+    enum: Object.values(USER_CONSTANTS.ACCOUNT_STATUS)
+  },
+  profileVisibleBeforeSuspension: {
+    type: Boolean
   }
 }, {
   timestamps: true,
@@ -70,8 +236,11 @@ const userSchema = new mongoose.Schema({
 
 // Index for performance
 userSchema.index({ email: 1 });
+userSchema.index({ phoneNumber: 1 }, { unique: true, sparse: true });
+userSchema.index({ 'oidcIdentities.provider': 1, 'oidcIdentities.subject': 1 });
 userSchema.index({ isOnline: 1 });
 userSchema.index({ lastSeen: -1 });
+userSchema.index({ accountStatus: 1, deletionScheduledFor: 1 });
 
 // Virtual for profile
 userSchema.virtual('profile', {
@@ -94,6 +263,108 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check if login is temporarily blocked after failed attempts
+userSchema.methods.isLoginLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Record a failed login, applying exponential backoff and a full lockout
+// after too many failures. Returns whether this failure triggered the lockout.
+// The counter is updated atomically so parallel attempts are all counted.
+userSchema.methods.registerFailedLogin = async function() {
+  const lockout = RATE_LIMIT_CONSTANTS.AUTH.LOCKOUT;
+  const now = new Date();
+
+  // Start counting afresh after a quiet period; only one request can win this
+  let updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      $or: [
+        { lastFailedLoginAt: null },
+        { lastFailedLoginAt: { $lte: new Date(now.getTime() - lockout.RESET_AFTER_MS) } }
+      ]
+    },
+    { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now }, $unset: { lockUntil: 1 } },
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  );
+
+  if (!updated) {
+    updated = await this.constructor.findOneAndUpdate(
+      { _id: this._id },
+      { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+      { new: true, projection: { failedLoginAttempts: 1 } }
+    );
+  }
+
+  const attempts = updated ? updated.failedLoginAttempts : 1;
+
+  let lockUntil = null;
+  if (attempts >= lockout.MAX_ATTEMPTS) {
+    lockUntil = new Date(now.getTime() + lockout.LOCK_DURATION_MS);
+  } else if (attempts > lockout.FREE_ATTEMPTS) {
+    const delay = lockout.BASE_DELAY_MS * Math.pow(2, attempts - lockout.FREE_ATTEMPTS - 1);
+    lockUntil = new Date(now.getTime() + Math.min(delay, lockout.MAX_DELAY_MS));
+  }
+
+  this.failedLoginAttempts = attempts;
+  this.lastFailedLoginAt = now;
+
+  // Never shorten a lock set by a concurrent request with a higher count
+  if (lockUntil) {
+    this.lockUntil = lockUntil;
+    await this.constructor.updateOne({ _id: this._id }, { $max: { lockUntil } });
+  }
+
+  return { attempts, lockUntil, lockedOut: attempts === lockout.MAX_ATTEMPTS };
+};
+
+// Clear failed login tracking
+userSchema.methods.resetLoginAttempts = function() {
+  if (!this.failedLoginAttempts && !this.lockUntil) {
+    return Promise.resolve(this);
+  }
+
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+  return this.save({ validateBeforeSave: false });
+};
+
+// Check if the account is waiting out its deletion grace period
+userSchema.methods.isPendingDeletion = function() {
+  return this.accountStatus === USER_CONSTANTS.ACCOUNT_STATUS.PENDING_DELETION;
+};
+
+// Check if staff have suspended the account
+userSchema.methods.isSuspended = function() {
+  return this.accountStatus === USER_CONSTANTS.ACCOUNT_STATUS.SUSPENDED;
+};
+
+// Paid plans unlock premium features such as seeing who viewed your profile
+userSchema.methods.hasPremiumPlan = function() {
+  return !!this.subscription &&
+    this.subscription.isActive !== false &&
+    this.subscription.plan !== SUBSCRIPTION_CONSTANTS.PLANS.FREE;
+};
+
+// A pending deletion can be undone by logging in before it is purged
+userSchema.methods.canRestoreAccount = function() {
+  return this.isPendingDeletion() &&
+    !!this.deletionScheduledFor && this.deletionScheduledFor > new Date();
+};
+
+// Check if this user's role ranks above the other user's
+userSchema.methods.outranks = function(other) {
+  const ranks = ROLE_CONSTANTS.ROLE_RANKS;
+  return (ranks[this.role] || 0) > (ranks[other.role] || 0);
+};
+
+// Check a permission against the role's permission matrix
+userSchema.methods.hasPermission = function(permission) {
+  const permissions = ROLE_CONSTANTS.PERMISSIONS_BY_ROLE[this.role] || [];
+  return permissions.includes(permission);
+};
+
 // Update last seen
 userSchema.methods.updateLastSeen = function() {
   this.lastSeen = new Date();
@@ -5,23 +5,37 @@ const Match = require('../models/Match');
 const VideoCall = require('../models/VideoCall');
 const Message = require('../models/Message');
 const Notification = require('../models/Notification');
+const ApiKey = require('../models/ApiKey');
+const Prompt = require('../models/Prompt');
+const AccountService = require('../services/accountService');
+const ApiKeyService = require('../services/apiKeyService');
+const PhotoVerificationService = require('../services/photoVerificationService');
+const TwoFactorService = require('../services/twoFactorService');
 const {
   authenticate,
-  requireAdmin
+  requirePermission
 } = require('../middleware/auth');
 const {
-  validatePagination
+  validatePagination,
+  validateObjectId,
+  validateRoleUpdate,
+  validateAccountSuspension,
+  validateTwoFactorRequirement,
+  validateApiKeyCreation,
+  validatePromptCreation,
+  validatePromptUpdate,
+  validatePhotoVerificationReview
 } = require('../middleware/validation');
-const { HTTP_STATUS } = require('../constants');
+const { HTTP_STATUS, PERMISSIONS, ROLE_CONSTANTS } = require('../constants');
 
 const router = express.Router();
 
-// @desc    Get all users (admin only)
+// @desc    Get all users
 // @route   GET /api/admin/users
-// @access  Private/Admin
+// @access  Private (users:read)
 router.get('/users',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.USERS_READ),
   validatePagination,
   async (req, res, next) => {
     try {
@@ -106,10 +120,10 @@ router.get('/users',
 
 // @desc    Get app statistics
 // @route   GET /api/admin/statistics
-// @access  Private/Admin
+// @access  Private (statistics:read)
 router.get('/statistics',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.STATISTICS_READ),
   async (req, res, next) => {
     try {
       // User statistics
@@ -237,10 +251,10 @@ router.get('/statistics',
 
 // @desc    Get user details by ID
 // @route   GET /api/admin/user/:userId
-// @access  Private/Admin
+// @access  Private (users:read)
 router.get('/user/:userId',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.USERS_READ),
   async (req, res, next) => {
     try {
       const { userId } = req.params;
@@ -302,17 +316,25 @@ router.get('/user/:userId',
   }
 );
 
-// @desc    Update user status (admin only)
+// @desc    Update user status
 // @route   PUT /api/admin/user/:userId/status
-// @access  Private/Admin
+// @access  Private (users:update; users:billing to change the subscription)
 router.put('/user/:userId/status',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.USERS_UPDATE),
   async (req, res, next) => {
     try {
       const { userId } = req.params;
       const { isEmailVerified, hasCompletedProfile, subscription } = req.body;
 
+      // Subscriptions unlock paid features, so they are managed separately
+      if (subscription && !(req.apiKey || req.user).hasPermission(PERMISSIONS.USERS_BILLING)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: 'You do not have permission to change subscriptions'
+        });
+      }
+
       const user = await User.findById(userId);
       if (!user) {
         return res.status(HTTP_STATUS.NOT_FOUND).json({
@@ -345,12 +367,206 @@ router.put('/user/:userId/status',
   }
 );
 
-// @desc    Delete user (admin only)
+// @desc    Change a user's role
+// @route   PUT /api/admin/user/:userId/role
+// @access  Private (roles:manage)
+router.put('/user/:userId/role',
+  authenticate,
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  validateObjectId('userId'),
+  validateRoleUpdate,
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      if (userId === req.user.id) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: 'You cannot change your own role'
+        });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { role },
+        { new: true }
+      ).select('name email role');
+
+      if (!user) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'User role updated successfully',
+        data: {
+          user,
+          permissions: ROLE_CONSTANTS.PERMISSIONS_BY_ROLE[user.role]
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Suspend or reinstate a user
+// @route   PUT /api/admin/user/:userId/suspension
+// @access  Private (users:update)
+router.put('/user/:userId/suspension',
+  authenticate,
+  requirePermission(PERMISSIONS.USERS_UPDATE),
+  validateObjectId('userId'),
+  validateAccountSuspension,
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { suspended, reason } = req.body;
+
+      // A key acts with its creator's rank
+      const actor = req.user || req.apiKey.createdBy;
+
+      if (userId === actor.id) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: 'You cannot suspend your own account'
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!actor.outranks(user)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: 'You can only suspend accounts with a lower role than your own'
+        });
+      }
+
+      if (suspended === user.isSuspended()) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: suspended ? 'User is already suspended' : 'User is not suspended'
+        });
+      }
+
+      if (suspended) {
+        await AccountService.suspendAccount(user, { reason, io: req.app.get('io') });
+      } else {
+        await AccountService.unsuspendAccount(user);
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: suspended ? 'User suspended successfully' : 'User reinstated successfully',
+        data: {
+          userId: user._id,
+          accountStatus: user.accountStatus,
+          suspendedAt: user.suspendedAt || null,
+          suspensionReason: user.suspensionReason || null
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Make two-factor authentication mandatory or optional for a user
+// @route   PUT /api/admin/user/:userId/two-factor
+// @access  Private (roles:manage)
+router.put('/user/:userId/two-factor',
+  authenticate,
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  validateObjectId('userId'),
+  validateTwoFactorRequirement,
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { required } = req.body;
+
+      if (userId === req.user.id) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: 'You cannot change your own two-factor requirement'
+        });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { 'twoFactor.required': required },
+        { new: true }
+      ).select('name email role twoFactor');
+
+      if (!user) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Two-factor requirement updated successfully',
+        data: {
+          userId: user._id,
+          required: user.twoFactor.required,
+          isRequired: TwoFactorService.isRequiredFor(user),
+          twoFactorEnabled: !!user.twoFactor.enabled
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Clear failed login lockout
+// @route   POST /api/admin/user/:userId/unlock
+// @access  Private (users:unlock)
+router.post('/user/:userId/unlock',
+  authenticate,
+  requirePermission(PERMISSIONS.USERS_UNLOCK),
+  validateObjectId('userId'),
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      await user.resetLoginAttempts();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'User login lockout cleared successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Delete user
 // @route   DELETE /api/admin/user/:userId
-// @access  Private/Admin
+// @access  Private (users:delete)
 router.delete('/user/:userId',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.USERS_DELETE),
   async (req, res, next) => {
     try {
       const { userId } = req.params;
@@ -363,25 +579,8 @@ router.delete('/user/:userId',
         });
       }
 
-      // Delete related data
-      await Promise.all([
-        Profile.findOneAndDelete({ userId }),
-        Match.deleteMany({
-          $or: [
-            { user1Id: userId },
-            { user2Id: userId }
-          ]
-        }),
-        Message.deleteMany({ senderId: userId }),
-        VideoCall.deleteMany({ participants: userId }),
-        Notification.deleteMany({
-          $or: [
-            { userId },
-            { fromUserId: userId }
-          ]
-        }),
-        User.findByIdAndDelete(userId)
-      ]);
+      // Delete the user along with photos, conversations and other related data
+      await AccountService.purgeUser(user._id, { io: req.app.get('io') });
 
       res.status(HTTP_STATUS.OK).json({
         success: true,
@@ -393,12 +592,335 @@ router.delete('/user/:userId',
   }
 );
 
+// @desc    Issue an API key for a service integration
+// @route   POST /api/admin/api-keys
+// @access  Private (api_keys:manage)
+router.post('/api-keys',
+  authenticate,
+  requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  validateApiKeyCreation,
+  async (req, res, next) => {
+    try {
+      const { name, scopes, expiresInDays } = req.body;
+
+      // A key can never do more than the person issuing it
+      const missingScopes = scopes.filter(scope => !req.user.hasPermission(scope));
+      if (missingScopes.length > 0) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: `You cannot grant scopes you do not hold: ${missingScopes.join(', ')}`
+        });
+      }
+
+      const { apiKey, record } = await ApiKeyService.createKey({
+        name,
+        scopes,
+        expiresInDays,
+        createdBy: req.user._id
+      });
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        message: 'API key created. Store it now; it will not be shown again.',
+        data: {
+          apiKey,
+          key: ApiKeyService.formatApiKey(record)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    List API keys
+// @route   GET /api/admin/api-keys
+// @access  Private (api_keys:manage)
+router.get('/api-keys',
+  authenticate,
+  requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  validatePagination,
+  async (req, res, next) => {
+    try {
+      const { page = 1, limit = 20, includeRevoked } = req.query;
+      const skip = (page - 1) * limit;
+
+      const query = includeRevoked === 'true' ? {} : { revokedAt: null };
+
+      const [keys, totalKeys] = await Promise.all([
+        ApiKey.find(query)
+          .populate('createdBy', 'name email')
+          .sort({ createdAt: -1 })
+          .limit(parseInt(limit))
+          .skip(skip),
+        ApiKey.countDocuments(query)
+      ]);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          keys: keys.map(key => ApiKeyService.formatApiKey(key)),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(totalKeys / limit),
+            totalKeys,
+            hasMore: keys.length === parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Revoke an API key
+// @route   DELETE /api/admin/api-keys/:keyId
+// @access  Private (api_keys:manage)
+router.delete('/api-keys/:keyId',
+  authenticate,
+  requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  validateObjectId('keyId'),
+  async (req, res, next) => {
+    try {
+      const key = await ApiKeyService.revokeKey(req.params.keyId, req.user._id);
+      if (!key) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'API key not found or already revoked'
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'API key revoked successfully',
+        data: {
+          key: ApiKeyService.formatApiKey(key)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Add a prompt to the catalog
+// @route   POST /api/admin/prompts
+// @access  Private (prompts:manage)
+router.post('/prompts',
+  authenticate,
+  requirePermission(PERMISSIONS.PROMPTS_MANAGE),
+  validatePromptCreation,
+  async (req, res, next) => {
+    try {
+      const { text } = req.body;
+
+      if (await Prompt.exists({ text })) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: 'A prompt with this text already exists'
+        });
+      }
+
+      const prompt = await Prompt.create({
+        text,
+        createdBy: req.user?._id,
+        createdByApiKey: req.apiKey?._id
+      });
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        message: 'Prompt created successfully',
+        data: { prompt }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    List catalog prompts with how often each is answered
+// @route   GET /api/admin/prompts
+// @access  Private (prompts:manage)
+router.get('/prompts',
+  authenticate,
+  requirePermission(PERMISSIONS.PROMPTS_MANAGE),
+  async (req, res, next) => {
+    try {
+      const { includeInactive } = req.query;
+      const query = includeInactive === 'true' ? {} : { isActive: true };
+
+      const [prompts, answerCounts] = await Promise.all([
+        Prompt.find(query)
+          .populate('createdBy', 'name email')
+          .sort({ createdAt: -1 }),
+        Profile.aggregate([
+          { $unwind: '$prompts' },
+          { $group: { _id: '$prompts.promptId', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const countsById = new Map(answerCounts.map(entry => [entry._id.toString(), entry.count]));
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          prompts: prompts.map(prompt => ({
+            ...prompt.toObject(),
+            answerCount: countsById.get(prompt._id.toString()) || 0
+          }))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Edit or retire a catalog prompt
+// @route   PUT /api/admin/prompts/:promptId
+// @access  Private (prompts:manage)
+router.put('/prompts/:promptId',
+  authenticate,
+  requirePermission(PERMISSIONS.PROMPTS_MANAGE),
+  validateObjectId('promptId'),
+  validatePromptUpdate,
+  async (req, res, next) => {
+    try {
+      const { text, isActive } = req.body;
+
+      const prompt = await Prompt.findById(req.params.promptId);
+      if (!prompt) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Prompt not found'
+        });
+      }
+
+      if (text !== undefined && text !== prompt.text) {
+        if (await Prompt.exists({ text })) {
+          return res.status(HTTP_STATUS.CONFLICT).json({
+            success: false,
+            message: 'A prompt with this text already exists'
+          });
+        }
+        prompt.text = text;
+      }
+      if (isActive !== undefined) {
+        prompt.isActive = isActive;
+      }
+      prompt.updatedBy = req.user?._id;
+      prompt.updatedByApiKey = req.apiKey?._id;
+
+      await prompt.save();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Prompt updated successfully',
+        data: { prompt }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    List selfies waiting for photo verification review
+// @route   GET /api/admin/photo-verifications
+// @access  Private (photo_verification:review)
+router.get('/photo-verifications',
+  authenticate,
+  requirePermission(PERMISSIONS.PHOTO_VERIFICATION_REVIEW),
+  validatePagination,
+  async (req, res, next) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+
+      const { verifications, total } = await PhotoVerificationService.getReviewQueue({
+        limit: parseInt(limit),
+        skip: (page - 1) * limit
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          verifications,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            total,
+            hasMore: page * limit < total
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Approve or reject a verification selfie
+// @route   PUT /api/admin/photo-verifications/:verificationId
+// @access  Private (photo_verification:review)
+router.put('/photo-verifications/:verificationId',
+  authenticate,
+  requirePermission(PERMISSIONS.PHOTO_VERIFICATION_REVIEW),
+  validateObjectId('verificationId'),
+  validatePhotoVerificationReview,
+  async (req, res, next) => {
+    try {
+      const { approved, reason } = req.body;
+
+      const result = await PhotoVerificationService.reviewVerification(req.params.verificationId, {
+        approved,
+        reason,
+        reviewerId: req.user?._id,
+        apiKey: req.apiKey,
+        io: req.app.get('io')
+      });
+
+      if (result.error === 'not_found') {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Verification not found'
+        });
+      }
+
+      if (result.error === 'own_verification' || result.error === 'no_reviewer') {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: result.error === 'no_reviewer'
+            ? 'Reviews must be attributable to a staff member'
+            : 'You cannot review your own verification'
+        });
+      }
+
+      if (result.error) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: 'Verification is not awaiting review'
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: approved ? 'Verification approved' : 'Verification rejected',
+        data: {
+          verification: PhotoVerificationService.formatVerification(result.verification)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // @desc    Get system health
 // @route   GET /api/admin/health
-// @access  Private/Admin
+// @access  Private (system:health)
 router.get('/health',
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.SYSTEM_HEALTH_READ),
   async (req, res, next) => {
     try {
       const dbStatus = await checkDatabaseHealth();
@@ -1,16 +1,39 @@
 const express = require('express');
 const crypto = require('crypto');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const AuthService = require('../services/authService');
+const SessionService = require('../services/sessionService');
 const NotificationService = require('../services/notificationService');
-const { authenticate } = require('../middleware/auth');
+const TwoFactorService = require('../services/twoFactorService');
+const AccountService = require('../services/accountService');
+const DataExportService = require('../services/dataExportService');
+const DataExport = require('../models/DataExport');
+const PhoneVerificationService = require('../services/phoneVerificationService');
+const OidcService = require('../services/oidcService');
+const { authenticate, authenticateAllowUnverified } = require('../middleware/auth');
 const { authRateLimit } = require('../middleware/rateLimit');
 const {
   validateRegistration,
   validateLogin,
-  validateEmailVerification
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateMagicLinkRequest,
+  validateMagicLinkToken,
+  validateOidcCallback,
+  validateChangePassword,
+  validateChangeEmail,
+  validateAccountDeletion,
+  validatePhoneNumber,
+  validatePhoneCode,
+  validateEmailVerification,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateObjectId
 } = require('../middleware/validation');
-const { HTTP_STATUS } = require('../constants');
+const { HTTP_STATUS, USER_CONSTANTS, RATE_LIMIT_CONSTANTS } = require('../constants');
 
 const router = express.Router();
 
@@ -30,21 +53,20 @@ router.post('/register', authRateLimit.register, validateRegistration, async (re
       });
     }
 
-    // Generate email verification token
-    const emailVerificationToken = AuthService.generateEmailVerificationToken();
-
     // Create user
     const user = new User({
       email,
       password,
-      name,
-      emailVerificationToken
+      name
     });
 
+    // Generate email verification token
+    const emailVerificationToken = AuthService.setEmailVerificationToken(user);
+
     await user.save();
 
-    // Generate JWT token
-    const token = AuthService.generateToken(user);
+    // Generate access and refresh tokens
+    const { token, refreshToken, expiresAt } = await AuthService.issueAuthTokens(user, getClientContext(req));
 
     // Send verification email (don't wait for it)
     NotificationService.sendVerificationEmail(user.email, emailVerificationToken, name)
@@ -66,7 +88,9 @@ router.post('/register', authRateLimit.register, validateRegistration, async (re
       message: 'User registered successfully. Please check your email to verify your account.',
       data: {
         user: userData,
-        token
+        token,
+        refreshToken,
+        tokenExpiresAt: expiresAt
       }
     });
   } catch (error) {
@@ -83,7 +107,19 @@ router.post('/login', authRateLimit.login, validateLogin, async (req, res, next)
 
     // Find user and include password field
     const user = await User.findOne({ email }).select('+password');
-    if (!user) {
+
+    // Accounts past their deletion grace period are treated as gone
+    if (!user || (user.isPendingDeletion() && !user.canRestoreAccount())) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    // Refuse while the account is backing off from failed attempts. The
+    // response matches an unknown email so lockouts do not reveal accounts;
+    // the owner is told about a full lockout by email.
+    if (user.isLoginLocked()) {
       return res.status(HTTP_STATUS.UNAUTHORIZED).json({
         success: false,
         message: 'Invalid email or password'
@@ -93,36 +129,119 @@ router.post('/login', authRateLimit.login, validateLogin, async (req, res, next)
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await handleFailedLogin(user);
       return res.status(HTTP_STATUS.UNAUTHORIZED).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Update last seen and online status
-    await user.setOnlineStatus(true);
+    // Hold back tokens until the second factor is verified
+    if (user.twoFactor?.enabled) {
+      return sendTwoFactorChallenge(res, user, 'password');
+    }
+
+    await completeLogin(req, res, user, 'password');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Email a single-use passwordless login link
+// @route   POST /api/auth/magic-link
+// @access  Public
+router.post('/magic-link', authRateLimit.login, validateMagicLinkRequest, async (req, res, next) => {
+  try {
+    const { email } = req.body;
 
-    // Generate JWT token
-    const token = AuthService.generateToken(user);
+    const user = await User.findOne({ email });
+    if (user && !user.isLoginLocked() && (!user.isPendingDeletion() || user.canRestoreAccount())) {
+      const magicLinkToken = AuthService.createMagicLinkToken(user);
 
-    // Return user data without password
-    const userData = {
-      id: user._id,
-      email: user.email,
-      name: user.name,
-      hasCompletedProfile: user.hasCompletedProfile,
-      isEmailVerified: user.isEmailVerified,
-      subscription: user.subscription,
-      lastSeen: user.lastSeen,
-      isOnline: user.isOnline
-    };
+      // Send magic link email (don't wait for it)
+      NotificationService.sendMagicLinkEmail(user.email, magicLinkToken, user.name)
+        .catch(error => console.error('Failed to send magic link email:', error));
+    }
+
+    // Same response either way so the endpoint cannot be used to probe accounts
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'If an account exists for this email, a login link has been sent.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Log in with a magic link
+// @route   POST /api/auth/magic-link/verify
+// @access  Public
+router.post('/magic-link/verify', authRateLimit.login, validateMagicLinkToken, async (req, res, next) => {
+  try {
+    const decoded = await AuthService.consumeMagicLinkToken(req.body.token);
+    const user = decoded ? await User.findById(decoded.id) : null;
+
+    // Links die with a password change or logout-all, like every other token
+    if (!user || (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: 'Invalid or expired magic link'
+      });
+    }
+
+    if (user.isLoginLocked()) {
+      return sendLoginLocked(res, user);
+    }
+
+    // Opening the link proves ownership of the address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return sendTwoFactorChallenge(res, user, 'magic_link');
+    }
+
+    await completeLogin(req, res, user, 'magic_link');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    List configured social login providers
+// @route   GET /api/auth/oidc/providers
+// @access  Public
+router.get('/oidc/providers', (req, res) => {
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: {
+      providers: OidcService.listProviders()
+    }
+  });
+});
+
+// @desc    Start social login (authorization code flow with PKCE)
+// @route   GET /api/auth/oidc/:provider/authorize
+// @access  Public
+router.get('/oidc/:provider/authorize', authRateLimit.login, async (req, res, next) => {
+  try {
+    const provider = OidcService.getProviderConfig(req.params.provider);
+    if (!provider) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Login provider not found'
+      });
+    }
+
+    const { authorizationUrl, state, expiresAt } = await OidcService.createAuthorizationRequest(provider);
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
-      message: 'Login successful',
       data: {
-        user: userData,
-        token
+        authorizationUrl,
+        state,
+        expiresAt
       }
     });
   } catch (error) {
@@ -130,108 +249,262 @@ router.post('/login', authRateLimit.login, validateLogin, async (req, res, next)
   }
 });
 
-// @desc    User logout
-// @route   POST /api/auth/logout
+// @desc    Complete social login with the authorization code
+// @route   POST /api/auth/oidc/:provider/callback
+// @access  Public
+router.post('/oidc/:provider/callback', authRateLimit.login, validateOidcCallback, async (req, res, next) => {
+  try {
+    const provider = OidcService.getProviderConfig(req.params.provider);
+    if (!provider) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Login provider not found'
+      });
+    }
+
+    const claims = await OidcService.authenticate(provider, {
+      code: req.body.code,
+      state: req.body.state
+    });
+
+    if (!claims) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: 'Social login failed or expired. Please try again.'
+      });
+    }
+
+    const { user, error } = await OidcService.findOrCreateUser(provider, claims);
+
+    if (error === 'email_not_verified') {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'An account with this email already exists. Log in with your password to continue.'
+      });
+    }
+
+    if (error) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'The login provider did not share an email address'
+      });
+    }
+
+    if (user.isLoginLocked()) {
+      return sendLoginLocked(res, user);
+    }
+
+    const loginMethod = `oidc_${provider.name}`;
+
+    if (user.twoFactor?.enabled) {
+      return sendTwoFactorChallenge(res, user, loginMethod);
+    }
+
+    await completeLogin(req, res, user, loginMethod);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Complete login with a two-factor code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+router.post('/2fa/verify', authRateLimit.login, validateTwoFactorLogin, async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = TwoFactorService.verifyChallengeToken(challengeToken);
+    const user = challenge ? await User.findById(challenge.id) : null;
+
+    if (!user || (challenge.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: 'Invalid or expired login challenge'
+      });
+    }
+
+    if (user.isLoginLocked()) {
+      return sendLoginLocked(res, user);
+    }
+
+    const isValid = await TwoFactorService.verify(user._id, { code, recoveryCode });
+    if (!isValid) {
+      await handleFailedLogin(user);
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await completeLogin(req, res, user, challenge.method);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
 // @access  Private
-router.post('/logout', authenticate, async (req, res, next) => {
+router.post('/2fa/setup', authenticate, async (req, res, next) => {
   try {
-    // Update user online status
-    await req.user.setOnlineStatus(false);
+    if (req.user.twoFactor?.enabled) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl } = await TwoFactorService.beginEnrollment(req.user);
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
-      message: 'Logout successful'
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl
+      }
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Verify email
-// @route   POST /api/auth/verify-email
-// @access  Public
-router.post('/verify-email', validateEmailVerification, async (req, res, next) => {
+// @desc    Confirm two-factor enrollment
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post('/2fa/enable', authenticate, validateTwoFactorCode, async (req, res, next) => {
   try {
-    const { token } = req.body;
-
-    // Find user with verification token
-    const user = await User.findOne({ emailVerificationToken: token });
-    if (!user) {
+    if (req.user.twoFactor?.enabled) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
         success: false,
-        message: 'Invalid or expired verification token'
+        message: 'Two-factor authentication is already enabled'
       });
     }
 
-    // Update user verification status
-    user.isEmailVerified = true;
-    user.emailVerificationToken = undefined;
-    await user.save();
+    const recoveryCodes = await TwoFactorService.confirmEnrollment(req.user._id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Invalid two-factor code or no enrollment in progress'
+      });
+    }
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
-      message: 'Email verified successfully'
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes
+      }
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Resend verification email
-// @route   POST /api/auth/resend-verification
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
 // @access  Private
-router.post('/resend-verification', authenticate, async (req, res, next) => {
+router.post('/2fa/disable', authenticate, validateTwoFactorDisable, async (req, res, next) => {
   try {
-    if (req.user.isEmailVerified) {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!req.user.twoFactor?.enabled) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
         success: false,
-        message: 'Email is already verified'
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (TwoFactorService.isRequiredFor(req.user)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for your account'
       });
     }
 
-    // Generate new verification token
-    const emailVerificationToken = AuthService.generateEmailVerificationToken();
-    req.user.emailVerificationToken = emailVerificationToken;
-    await req.user.save();
+    const user = await User.findById(req.user.id).select('+password');
 
-    // Send verification email
-    await NotificationService.sendVerificationEmail(
-      req.user.email,
-      emailVerificationToken,
-      req.user.name
-    );
+    // The code is asked for either way, so it cannot also stand in for the password
+    const isReauthenticated = user.hasPassword
+      ? await isPasswordCorrect(user, password)
+      : await hasRecentLogin(req);
+    const isCodeValid = isReauthenticated &&
+      await TwoFactorService.verify(req.user._id, { code, recoveryCode });
+
+    if (!isCodeValid) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: user.hasPassword
+          ? 'Invalid password or two-factor code'
+          : 'Please log in again, then confirm with a two-factor code'
+      });
+    }
+
+    await TwoFactorService.disable(req.user._id);
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
-      message: 'Verification email sent successfully'
+      message: 'Two-factor authentication disabled'
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Get current user
-// @route   GET /api/auth/me
+// @desc    Regenerate two-factor recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
 // @access  Private
-router.get('/me', authenticate, async (req, res, next) => {
+router.post('/2fa/recovery-codes', authenticate, validateTwoFactorCode, async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.id).populate('profile');
+    const isValid = req.user.twoFactor?.enabled &&
+      await TwoFactorService.verify(req.user._id, { code: req.body.code });
+
+    if (!isValid) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.user._id);
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
       data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          name: user.name,
-          hasCompletedProfile: user.hasCompletedProfile,
-          isEmailVerified: user.isEmailVerified,
-          subscription: user.subscription,
-          lastSeen: user.lastSeen,
-          isOnline: user.isOnline,
-          role: user.role,
-          profile: user.profile
-        }
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Exchange refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', authRateLimit.refresh, validateRefreshToken, async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await AuthService.rotateRefreshToken(refreshToken, {
+      ip: req.ip,
+      io: req.app.get('io')
+    });
+    if (!result) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken,
+        tokenExpiresAt: result.expiresAt
       }
     });
   } catch (error) {
@@ -239,4 +512,882 @@ router.get('/me', authenticate, async (req, res, next) => {
   }
 });
 
+// @desc    User logout
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', authenticate, async (req, res, next) => {
+  try {
+    // Revoke the access token and session used for this request
+    await Promise.all([
+      AuthService.revokeAccessToken(req.tokenPayload),
+      SessionService.revokeSession(req.tokenPayload.sid, {
+        reason: 'logout',
+        io: req.app.get('io')
+      })
+    ]);
+
+    // Update user online status
+    await req.user.setOnlineStatus(false);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Log out from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', authenticate, async (req, res, next) => {
+  try {
+    // Invalidate every session, access and refresh token issued to this user
+    await AuthService.revokeAllUserTokens(req.user._id, { io: req.app.get('io') });
+
+    // Update user online status
+    await req.user.setOnlineStatus(false);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    List active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', authenticate, async (req, res, next) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.user._id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => SessionService.formatSession(session, req.tokenPayload.sid))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', authenticate, validateObjectId('id'), async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    // Revoke tokens and disconnect any live socket for the session
+    await SessionService.revokeSession(session._id, {
+      reason: 'revoked_by_user',
+      io: req.app.get('io')
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Request password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', authRateLimit.passwordReset, validateForgotPassword, async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (user) {
+      // Only the hash is stored; the raw token exists solely in the email
+      const resetToken = AuthService.generatePasswordResetToken();
+      user.passwordResetToken = AuthService.hashToken(resetToken);
+      user.passwordResetExpires = new Date(Date.now() + USER_CONSTANTS.PASSWORD_RESET_EXPIRY);
+      await user.save({ validateBeforeSave: false });
+
+      // Send reset email (don't wait for it)
+      NotificationService.sendPasswordResetEmail(user.email, resetToken, user.name)
+        .catch(error => console.error('Failed to send password reset email:', error));
+    }
+
+    // Same response either way so the endpoint cannot be used to probe accounts
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reset password using emailed token
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post('/reset-password', authRateLimit.passwordReset, validateResetPassword, async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    // Consume the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: AuthService.hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+    );
+
+    if (!user) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    user.password = password;
+    user.hasPassword = true;
+    await user.save();
+
+    // Sign the user out everywhere now that the password has changed
+    await AuthService.revokeAllUserTokens(user._id, {
+      reason: 'password_reset',
+      io: req.app.get('io')
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Change password
+// @route   PUT /api/auth/password
+// @access  Private
+router.put('/password', authenticate, validateChangePassword, async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    const isReauthenticated = await verifyReauthentication(req, user, {
+      password: currentPassword,
+      code,
+      recoveryCode
+    });
+    if (!isReauthenticated) {
+      return sendReauthenticationFailed(res, user, 'Current password is incorrect');
+    }
+
+    if (user.hasPassword && await user.comparePassword(newPassword)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+
+    user.password = newPassword;
+    user.hasPassword = true;
+    await user.save();
+
+    // Keep this device signed in, sign out every other session
+    const revokedCount = await SessionService.revokeUserSessions(user._id, {
+      exceptSessionId: req.tokenPayload.sid,
+      reason: 'password_changed',
+      io: req.app.get('io')
+    });
+
+    await NotificationService.sendPasswordChangedEmail(user);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        revokedSessions: revokedCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Request an email address change
+// @route   PUT /api/auth/email
+// @access  Private
+router.put('/email', authenticate, validateChangeEmail, async (req, res, next) => {
+  try {
+    const { newEmail, currentPassword, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password +emailVerificationSentAt');
+
+    const isReauthenticated = await verifyReauthentication(req, user, {
+      password: currentPassword,
+      code,
+      recoveryCode
+    });
+    if (!isReauthenticated) {
+      return sendReauthenticationFailed(res, user, 'Current password is incorrect');
+    }
+
+    if (newEmail === user.email) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'New email must be different from the current email'
+      });
+    }
+
+    const existingUser = await User.exists({ email: newEmail });
+    if (existingUser) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'Email is already in use'
+      });
+    }
+
+    // Share the resend throttle so this cannot be used to spam arbitrary addresses
+    const nextAllowedAt = getNextVerificationResendTime(user);
+    if (nextAllowedAt > new Date()) {
+      return res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+        success: false,
+        message: 'Please wait before requesting another verification email',
+        data: {
+          retryAfter: Math.ceil((nextAllowedAt - Date.now()) / 1000)
+        }
+      });
+    }
+
+    // The current email stays active until the new one is verified
+    user.pendingEmail = newEmail;
+    const emailVerificationToken = AuthService.setEmailVerificationToken(user);
+    await user.save({ validateBeforeSave: false });
+
+    await NotificationService.sendVerificationEmail(
+      newEmail,
+      emailVerificationToken,
+      user.name
+    );
+    await NotificationService.sendEmailChangeNotice(user, newEmail);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Verification email sent to the new address. Your current email remains active until it is verified.',
+      data: {
+        email: user.email,
+        pendingEmail: user.pendingEmail
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete own account (restorable by logging in during the grace period)
+// @route   DELETE /api/auth/account
+// @access  Private (unverified users allowed)
+router.delete('/account', authenticateAllowUnverified, validateAccountDeletion, async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    const isReauthenticated = await verifyReauthentication(req, user, { password, code, recoveryCode });
+    if (!isReauthenticated) {
+      return sendReauthenticationFailed(res, user, 'Password is incorrect');
+    }
+
+    const deletionScheduledFor = await AccountService.requestDeletion(user, {
+      io: req.app.get('io')
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Account scheduled for deletion. Log in before the deletion date to restore it.',
+      data: {
+        deletionScheduledFor
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Send a verification code to a phone number
+// @route   POST /api/auth/phone
+// @access  Private
+router.post('/phone', authenticate, authRateLimit.phoneVerification, validatePhoneNumber, async (req, res, next) => {
+  try {
+    const result = await PhoneVerificationService.sendCode(req.user._id, req.body.phoneNumber);
+
+    if (result.error === 'already_verified') {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'This phone number is already verified'
+      });
+    }
+
+    if (result.error === 'phone_taken') {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'Phone number is already in use'
+      });
+    }
+
+    if (result.error) {
+      return res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+        success: false,
+        message: result.error === 'daily_limit'
+          ? 'Too many verification codes requested today'
+          : 'Please wait before requesting another verification code',
+        data: {
+          retryAfter: result.retryAfter
+        }
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Verification code sent',
+      data: {
+        phoneNumber: PhoneVerificationService.maskPhoneNumber(req.body.phoneNumber),
+        expiresAt: result.expiresAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Verify a phone number with the code sent by SMS
+// @route   POST /api/auth/phone/verify
+// @access  Private
+router.post('/phone/verify', authenticate, authRateLimit.phoneVerification, validatePhoneCode, async (req, res, next) => {
+  try {
+    const result = await PhoneVerificationService.verifyCode(req.user._id, req.body.code);
+
+    if (result.error === 'phone_taken') {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'Phone number is already in use'
+      });
+    }
+
+    if (result.error === 'invalid_code') {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Invalid verification code',
+        data: {
+          attemptsRemaining: result.attemptsRemaining
+        }
+      });
+    }
+
+    if (result.error) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: result.error === 'too_many_attempts'
+          ? 'Too many incorrect attempts. Please request a new code.'
+          : 'No pending verification code or it has expired. Please request a new code.'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Phone number verified successfully',
+      data: {
+        phoneNumber: result.phoneNumber,
+        isPhoneVerified: true
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Remove phone number
+// @route   DELETE /api/auth/phone
+// @access  Private
+router.delete('/phone', authenticate, async (req, res, next) => {
+  try {
+    await PhoneVerificationService.removePhoneNumber(req.user._id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Phone number removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Request a personal data export
+// @route   POST /api/auth/export
+// @access  Private
+router.post('/export', authenticate, async (req, res, next) => {
+  try {
+    const activeExport = await DataExportService.getActiveExport(req.user._id);
+    if (activeExport) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'A data export is already being prepared',
+        data: {
+          export: DataExportService.formatExport(activeExport)
+        }
+      });
+    }
+
+    const nextAllowedAt = await DataExportService.getNextRequestTime(req.user._id);
+    if (nextAllowedAt > new Date()) {
+      return res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+        success: false,
+        message: 'You can request one data export per day',
+        data: {
+          retryAfter: Math.ceil((nextAllowedAt - Date.now()) / 1000)
+        }
+      });
+    }
+
+    const dataExport = await DataExportService.requestExport(req.user._id, {
+      io: req.app.get('io')
+    });
+
+    res.status(HTTP_STATUS.ACCEPTED).json({
+      success: true,
+      message: 'Data export requested. You will be notified when it is ready.',
+      data: {
+        export: DataExportService.formatExport(dataExport)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get data export status (includes a fresh download link once ready)
+// @route   GET /api/auth/export/:exportId
+// @access  Private
+router.get('/export/:exportId', authenticate, validateObjectId('exportId'), async (req, res, next) => {
+  try {
+    const dataExport = await DataExport.findOne({
+      _id: req.params.exportId,
+      userId: req.user._id
+    });
+
+    if (!dataExport) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Data export not found'
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        export: DataExportService.formatExport(dataExport)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Download a data export archive
+// @route   GET /api/auth/export/:exportId/download
+// @access  Public (signed download link)
+router.get('/export/:exportId/download', validateObjectId('exportId'), async (req, res, next) => {
+  try {
+    const decoded = DataExportService.verifyDownloadToken(req.query.token, req.params.exportId);
+    if (!decoded) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: 'Invalid or expired download link'
+      });
+    }
+
+    const dataExport = await DataExport.findOne({
+      _id: req.params.exportId,
+      userId: decoded.id
+    });
+
+    if (!dataExport || !dataExport.isDownloadable() || !dataExport.archiveFileId) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Data export not found or expired'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="relacio-data-export-${dataExport._id}.json"`,
+      'Cache-Control': 'no-store'
+    });
+
+    const archive = DataExportService.openArchiveStream(dataExport);
+    archive.once('error', error => {
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        next(error);
+      }
+    });
+    res.status(HTTP_STATUS.OK);
+    archive.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Verify email
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.post('/verify-email', validateEmailVerification, async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    // Find user with an unexpired verification token and consume it
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: AuthService.hashToken(token),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      }
+    );
+
+    if (!user) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    // Plain verification of the current address
+    if (!user.pendingEmail) {
+      await User.updateOne({ _id: user._id }, { $set: { isEmailVerified: true } });
+
+      return res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Email verified successfully'
+      });
+    }
+
+    // Email change: swap in the new address unless it was claimed in the meantime
+    const emailTaken = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+    if (emailTaken) {
+      await User.updateOne({ _id: user._id }, { $unset: { pendingEmail: 1 } });
+
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'Email is already in use'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { email: user.pendingEmail, isEmailVerified: true },
+        $unset: { pendingEmail: 1 }
+      }
+    );
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Email changed successfully',
+      data: {
+        email: user.pendingEmail
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Resend verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private (unverified users allowed)
+router.post('/resend-verification', authenticateAllowUnverified, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+emailVerificationSentAt');
+
+    if (user.isEmailVerified && !user.pendingEmail) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    // Throttle resends per account
+    const nextAllowedAt = getNextVerificationResendTime(user);
+    if (nextAllowedAt > new Date()) {
+      return res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+        success: false,
+        message: 'Please wait before requesting another verification email',
+        data: {
+          retryAfter: Math.ceil((nextAllowedAt - Date.now()) / 1000)
+        }
+      });
+    }
+
+    // Generate new verification token, replacing the previous one
+    const emailVerificationToken = AuthService.setEmailVerificationToken(user);
+    await user.save({ validateBeforeSave: false });
+
+    // Send verification email, to the pending address during an email change
+    await NotificationService.sendVerificationEmail(
+      user.pendingEmail || user.email,
+      emailVerificationToken,
+      user.name
+    );
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Verification email sent successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get email verification status
+// @route   GET /api/auth/verification-status
+// @access  Private (unverified users allowed)
+router.get('/verification-status', authenticateAllowUnverified, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select('+emailVerificationExpires +emailVerificationSentAt');
+    const awaitingVerification = !user.isEmailVerified || Boolean(user.pendingEmail);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        email: user.email,
+        pendingEmail: user.pendingEmail || null,
+        isEmailVerified: user.isEmailVerified,
+        verificationSentAt: awaitingVerification ? user.emailVerificationSentAt || null : null,
+        verificationExpiresAt: awaitingVerification ? user.emailVerificationExpires || null : null,
+        canResendAt: awaitingVerification ? getNextVerificationResendTime(user) : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get current user
+// @route   GET /api/auth/me
+// @access  Private
+router.get('/me', authenticate, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).populate('profile');
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          email: user.email,
+          name: user.name,
+          hasCompletedProfile: user.hasCompletedProfile,
+          isEmailVerified: user.isEmailVerified,
+          pendingEmail: user.pendingEmail || null,
+          phoneNumber: user.phoneNumber || null,
+          isPhoneVerified: user.isPhoneVerified,
+          hasPassword: user.hasPassword,
+          linkedProviders: user.oidcIdentities.map(identity => identity.provider),
+          subscription: user.subscription,
+          lastSeen: user.lastSeen,
+          isOnline: user.isOnline,
+          role: user.role,
+          twoFactorEnabled: user.twoFactor.enabled,
+          twoFactorSetupRequired: TwoFactorService.isSetupRequired(user),
+          profile: user.profile
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to issue tokens once every login factor has been checked
+async function completeLogin(req, res, user, loginMethod) {
+  if (user.isSuspended()) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: 'Your account has been suspended'
+    });
+  }
+
+  // Logging in during the deletion grace period cancels the deletion
+  let accountRestored = false;
+  if (user.isPendingDeletion()) {
+    if (!user.canRestoreAccount()) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    await AccountService.restoreAccount(user);
+    accountRestored = true;
+  }
+
+  // Clear any failed attempts now that the user is fully authenticated
+  await user.resetLoginAttempts();
+
+  // Update last seen and online status
+  await user.setOnlineStatus(true);
+
+  // Generate access and refresh tokens
+  const { token, refreshToken, expiresAt } = await AuthService.issueAuthTokens(
+    user,
+    getClientContext(req, loginMethod)
+  );
+
+  // Return user data without password
+  const userData = {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    hasCompletedProfile: user.hasCompletedProfile,
+    isEmailVerified: user.isEmailVerified,
+    subscription: user.subscription,
+    lastSeen: user.lastSeen,
+    isOnline: user.isOnline,
+    twoFactorEnabled: user.twoFactor.enabled
+  };
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: accountRestored ? 'Login successful. Your account has been restored.' : 'Login successful',
+    data: {
+      user: userData,
+      token,
+      refreshToken,
+      tokenExpiresAt: expiresAt,
+      twoFactorSetupRequired: TwoFactorService.isSetupRequired(user),
+      accountRestored
+    }
+  });
+}
+
+// Helper function to track a failed login and alert the owner on lockout
+async function handleFailedLogin(user) {
+  const { lockedOut, lockUntil } = await user.registerFailedLogin();
+
+  if (lockedOut) {
+    NotificationService.sendAccountLockedNotification(user, lockUntil)
+      .catch(error => console.error('Failed to send account locked notification:', error));
+  }
+}
+
+// Helper function to reject a login while the account is locked
+function sendLoginLocked(res, user) {
+  res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+    success: false,
+    message: RATE_LIMIT_CONSTANTS.AUTH.LOCKOUT.message,
+    data: {
+      retryAfter: Math.ceil((user.lockUntil - Date.now()) / 1000)
+    }
+  });
+}
+
+// Helper function to ask the client for a second factor before logging in
+function sendTwoFactorChallenge(res, user, loginMethod) {
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: 'Two-factor authentication required',
+    data: {
+      requiresTwoFactor: true,
+      challengeToken: TwoFactorService.createChallengeToken(user, loginMethod)
+    }
+  });
+}
+
+// Helper function to describe the device a login request came from
+function getClientContext(req, loginMethod = 'password') {
+  const deviceName = req.body.deviceName || req.header('X-Device-Name');
+
+  return {
+    ip: req.ip,
+    userAgent: req.header('User-Agent'),
+    deviceName: typeof deviceName === 'string' ? deviceName.trim().substring(0, 100) : undefined,
+    loginMethod
+  };
+}
+
+// Helper function to work out when another verification email may be sent
+function getNextVerificationResendTime(user) {
+  if (!user.emailVerificationSentAt) {
+    return new Date();
+  }
+
+  return new Date(user.emailVerificationSentAt.getTime() + USER_CONSTANTS.EMAIL_VERIFICATION_RESEND_COOLDOWN);
+}
+
+// Helper function to check a password; a missing one never matches
+async function isPasswordCorrect(user, password) {
+  if (typeof password !== 'string' || !password) {
+    return false;
+  }
+
+  return user.comparePassword(password);
+}
+
+// Helper function to check if the current session was opened within the
+// re-authentication window
+async function hasRecentLogin(req) {
+  const session = await Session.findById(req.tokenPayload.sid).select('createdAt');
+  return !!session && Date.now() - session.createdAt.getTime() <= USER_CONSTANTS.REAUTH_WINDOW;
+}
+
+// Helper function to confirm the account holder before a sensitive change.
+// Accounts without a password of their own (social login only) use a recent
+// login or a two-factor code instead.
+async function verifyReauthentication(req, user, { password, code, recoveryCode }) {
+  if (user.hasPassword) {
+    return isPasswordCorrect(user, password);
+  }
+
+  if (await hasRecentLogin(req)) {
+    return true;
+  }
+
+  if (!code && !recoveryCode) {
+    return false;
+  }
+
+  return TwoFactorService.verify(user._id, { code, recoveryCode });
+}
+
+// Helper function to reject a sensitive change that was not re-authenticated
+function sendReauthenticationFailed(res, user, passwordMessage) {
+  res.status(HTTP_STATUS.UNAUTHORIZED).json({
+    success: false,
+    message: user.hasPassword
+      ? passwordMessage
+      : 'Please log in again or enter a two-factor code to confirm this change'
+  });
+}
+
 module.exports = router;
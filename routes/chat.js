@@ -2,6 +2,7 @@ const express = require('express');
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
 const Match = require('../models/Match');
+const Block = require('../models/Block');
 const CloudinaryService = require('../services/cloudinaryService');
 const NotificationService = require('../services/notificationService');
 const {
@@ -203,6 +204,18 @@ router.post('/send-message',
         });
       }
 
+      const otherParticipantId = conversation.participants.find(
+        id => id.toString() !== userId
+      );
+
+      // No new messages between users who have blocked each other
+      if (await Block.isBlockedBetween(userId, otherParticipantId)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: 'You cannot message this user'
+        });
+      }
+
       // Create message
       const messageData = {
         conversationId,
@@ -230,10 +243,6 @@ router.post('/send-message',
       await message.populate('senderId', 'name');
 
       // Send notification to other participant
-      const otherParticipantId = conversation.participants.find(
-        id => id.toString() !== userId
-      );
-
       await NotificationService.createNotification(otherParticipantId, 'message', {
         title: 'New Message',
         message: `${req.user.name} sent you a message`,
@@ -334,6 +343,18 @@ router.post('/send-media-message',
         });
       }
 
+      const otherParticipantId = conversation.participants.find(
+        id => id.toString() !== userId
+      );
+
+      // No new messages between users who have blocked each other
+      if (await Block.isBlockedBetween(userId, otherParticipantId)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: 'You cannot message this user'
+        });
+      }
+
       // Upload to Cloudinary
       const uploadResult = await CloudinaryService.uploadImage(
         req.file.buffer,
@@ -373,10 +394,6 @@ router.post('/send-media-message',
       await message.populate('senderId', 'name');
 
       // Send notification to other participant
-      const otherParticipantId = conversation.participants.find(
-        id => id.toString() !== userId
-      );
-
       await NotificationService.createNotification(otherParticipantId, 'message', {
         title: 'New Message',
         message: `${req.user.name} sent you a ${messageType}`,
@@ -470,6 +487,13 @@ router.post('/conversation',
         });
       }
 
+      if (await Block.isBlockedBetween(userId, otherUserId)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: 'You cannot message this user'
+        });
+      }
+
       // Verify users are matched
       const match = await Match.findOne({
         $or: [
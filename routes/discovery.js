@@ -2,6 +2,7 @@ const express = require('express');
 const Profile = require('../models/Profile');
 const Match = require('../models/Match');
 const User = require('../models/User');
+const Block = require('../models/Block');
 const MatchingService = require('../services/matchingService');
 const NotificationService = require('../services/notificationService');
 const {
@@ -18,7 +19,7 @@ const {
   validateSwipe,
   validatePagination
 } = require('../middleware/validation');
-const { HTTP_STATUS } = require('../constants');
+const { HTTP_STATUS, MATCH_CONSTANTS } = require('../constants');
 
 const router = express.Router();
 
@@ -35,11 +36,22 @@ router.get('/profiles',
       const { limit = 10, offset = 0 } = req.query;
       const userId = req.user.id;
 
+      const userProfile = await Profile.findOne({ userId }).select('preferences');
+      if (!userProfile) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Profile not found. Please complete profile setup first.'
+        });
+      }
+
       // Get discovery profiles using matching service
       const profiles = await MatchingService.getDiscoveryProfiles(
         userId,
-        parseInt(limit),
-        parseInt(offset)
+        userProfile.preferences,
+        {
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
       );
 
       res.status(HTTP_STATUS.OK).json({
@@ -65,7 +77,7 @@ router.post('/swipe',
   validateSwipe,
   async (req, res, next) => {
     try {
-      const { targetUserId, action } = req.body;
+      const { targetUserId, action, promptId, comment } = req.body;
       const userId = req.user.id;
 
       // Check if target user exists
@@ -85,6 +97,14 @@ router.post('/swipe',
         });
       }
 
+      // Blocked users are reported as missing so the block is not revealed
+      if (await Block.isBlockedBetween(userId, targetUserId)) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Target user not found'
+        });
+      }
+
       // Check if user has already swiped on this person
       const existingMatch = await Match.findOne({
         $or: [
@@ -107,8 +127,41 @@ router.post('/swipe',
         // Like rate limiting will be handled by middleware
       }
 
+      // Likes can be aimed at one of the target's prompt answers
+      let promptReaction = null;
+      if (promptId) {
+        if (action === MATCH_CONSTANTS.ACTIONS.PASS) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Only likes can react to a prompt'
+          });
+        }
+
+        const targetProfile = await Profile.findOne({ userId: targetUserId })
+          .select('prompts')
+          .populate('prompts.promptId', 'text');
+        const answeredPrompt = targetProfile && targetProfile.prompts.find(prompt =>
+          prompt.promptId && prompt.promptId._id.toString() === promptId
+        );
+
+        if (!answeredPrompt) {
+          return res.status(HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: 'Prompt not found on this profile'
+          });
+        }
+
+        promptReaction = {
+          promptId,
+          question: answeredPrompt.promptId.text,
+          answer: answeredPrompt.answer,
+          comment
+        };
+      }
+
       // Process the swipe
-      const result = await MatchingService.processSwipe(userId, targetUserId, action);
+      const result = await MatchingService.processSwipe(userId, targetUserId, action, { promptReaction });
+      const reactionData = promptReaction ? { promptId, comment: comment || null } : undefined;
 
       // Check if it's a match
       if (result.isMatch) {
@@ -122,15 +175,19 @@ router.post('/swipe',
           NotificationService.createNotification(targetUserId, 'match', {
             title: 'New Match!',
             message: `You and ${req.user.name} liked each other!`,
-            fromUserId: userId
+            fromUserId: userId,
+            data: reactionData
           })
         ]);
       } else if (action === 'like' || action === 'super_like') {
         // Send like notification to target user
         await NotificationService.createNotification(targetUserId, 'like', {
           title: action === 'super_like' ? 'Super Like!' : 'New Like!',
-          message: `${req.user.name} ${action === 'super_like' ? 'super ' : ''}liked you!`,
-          fromUserId: userId
+          message: promptReaction
+            ? `${req.user.name} ${action === 'super_like' ? 'super ' : ''}liked your answer to "${promptReaction.question}"`
+            : `${req.user.name} ${action === 'super_like' ? 'super ' : ''}liked you!`,
+          fromUserId: userId,
+          data: reactionData
         });
       }
 
@@ -228,12 +285,13 @@ router.get('/matches',
     try {
       const { limit = 20, offset = 0 } = req.query;
       const userId = req.user.id;
+      const blockedUserIds = await Block.getBlockedUserIds(userId);
 
-      // Find all matches for the user
+      // Find all matches for the user, leaving out blocked users
       const matches = await Match.find({
         $or: [
-          { user1Id: userId },
-          { user2Id: userId }
+          { user1Id: userId, user2Id: { $nin: blockedUserIds } },
+          { user2Id: userId, user1Id: { $nin: blockedUserIds } }
         ],
         isMatch: true
       })
@@ -254,7 +312,7 @@ router.get('/matches',
 
           // Get other user's profile
           const otherUserProfile = await Profile.findOne({ userId: otherUserId })
-            .select('photos age location bio');
+            .select('photos age dateOfBirth location bio');
 
           // Get conversation for last message
           const Conversation = require('../models/Conversation');
@@ -267,7 +325,7 @@ router.get('/matches',
             user: {
               id: otherUserId,
               name: otherUserName,
-              profile: otherUserProfile
+              profile: formatProfileSummary(otherUserProfile)
             },
             matchedAt: match.matchedAt,
             compatibility: match.compatibility,
@@ -305,10 +363,12 @@ router.get('/likes',
     try {
       const { limit = 20, offset = 0 } = req.query;
       const userId = req.user.id;
+      const blockedUserIds = await Block.getBlockedUserIds(userId);
 
       // Find users who liked this user but haven't been swiped back
       const likesReceived = await Match.find({
         user2Id: userId,
+        user1Id: { $nin: blockedUserIds },
         user1Action: { $in: ['like', 'super_like'] },
         user2Action: 'pending'
       })
@@ -321,16 +381,26 @@ router.get('/likes',
       const likesWithProfiles = await Promise.all(
         likesReceived.map(async (like) => {
           const profile = await Profile.findOne({ userId: like.user1Id._id })
-            .select('photos age location bio');
+            .select('photos age dateOfBirth location bio');
+
+          const promptReaction = like.promptReactions.find(reaction =>
+            reaction.fromUserId.equals(like.user1Id._id)
+          );
 
           return {
             id: like._id,
             user: {
               id: like.user1Id._id,
               name: like.user1Id.name,
-              profile: profile
+              profile: formatProfileSummary(profile)
             },
             action: like.user1Action,
+            promptReaction: promptReaction ? {
+              promptId: promptReaction.promptId,
+              question: promptReaction.question,
+              answer: promptReaction.answer,
+              comment: promptReaction.comment || null
+            } : null,
             likedAt: like.createdAt
           };
         })
@@ -349,4 +419,17 @@ router.get('/likes',
   }
 );
 
+// Helper function to show the derived age instead of the birth date
+function formatProfileSummary(profile) {
+  if (!profile) {
+    return null;
+  }
+
+  const { dateOfBirth, ...summary } = profile.toObject();
+  return {
+    ...summary,
+    age: Profile.getAge(profile)
+  };
+}
+
 module.exports = router;
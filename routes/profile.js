@@ -1,7 +1,12 @@
 const express = require('express');
 const Profile = require('../models/Profile');
+const Prompt = require('../models/Prompt');
 const User = require('../models/User');
+const Block = require('../models/Block');
 const CloudinaryService = require('../services/cloudinaryService');
+const MatchingService = require('../services/matchingService');
+const PhotoVerificationService = require('../services/photoVerificationService');
+const ProfileViewService = require('../services/profileViewService');
 const { 
   authenticate, 
   requireEmailVerification 
@@ -15,18 +20,28 @@ const { profileUpdateRateLimit, uploadRateLimit } = require('../middleware/rateL
 const {
   validateProfileSetup,
   validateProfileUpdate,
+  validateLocationUpdate,
+  validateProfilePause,
+  validatePromptAnswers,
+  validatePhotoOrder,
+  validatePhotoCaption,
+  validatePhotoGallery,
+  validatePagination,
   validateObjectId
 } = require('../middleware/validation');
-const { HTTP_STATUS, USER_CONSTANTS } = require('../constants');
+const { HTTP_STATUS, USER_CONSTANTS, PROFILE_CONSTANTS } = require('../constants');
 
 const router = express.Router();
 
+const LIFESTYLE_FIELDS = Object.keys(PROFILE_CONSTANTS.LIFESTYLE_OPTIONS);
+
 // @desc    Get current user's profile
 // @route   GET /api/profile/me
 // @access  Private
 router.get('/me', authenticate, requireEmailVerification, async (req, res, next) => {
   try {
-    let profile = await Profile.findOne({ userId: req.user.id });
+    let profile = await Profile.findOne({ userId: req.user.id })
+      .populate('prompts.promptId', 'text');
     
     if (!profile) {
       // Return empty profile structure if not found
@@ -34,11 +49,17 @@ router.get('/me', authenticate, requireEmailVerification, async (req, res, next)
         userId: req.user.id,
         photos: [],
         interests: [],
+        prompts: [],
         preferences: {
           ageRange: { min: 18, max: 50 },
           maxDistance: 25,
-          lookingFor: 'anything'
+          lookingFor: 'anything',
+          interestedIn: [],
+          verifiedOnly: false
         },
+        isPhotoVerified: false,
+        isIncognito: false,
+        isPaused: false,
         profileScore: 0,
         profileViews: 0,
         likesReceived: 0
@@ -53,6 +74,8 @@ router.get('/me', authenticate, requireEmailVerification, async (req, res, next)
       data: {
         profile: {
           ...profile._doc || profile,
+          age: Profile.getAge(profile),
+          prompts: Profile.formatPrompts(profile),
           profileScore
         }
       }
@@ -75,33 +98,58 @@ router.put('/setup',
   async (req, res, next) => {
     try {
       const { 
-        age, 
+        dateOfBirth, 
+        gender,
         location, 
         occupation, 
         education, 
         bio, 
         interests,
-        preferences 
+        preferences,
+        lifestyle,
+        lifestyleVisibility,
+        latitude,
+        longitude
       } = req.body;
 
       // Check if profile already exists
       let profile = await Profile.findOne({ userId: req.user.id });
+
+      // Same rule as /update: a confirmed birth date is fixed, re-running
+      // setup may only repeat it
+      const hasFixedDateOfBirth = profile && profile.dateOfBirth && !profile.dateOfBirthEstimated;
+      if (hasFixedDateOfBirth && new Date(dateOfBirth).getTime() !== profile.dateOfBirth.getTime()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: 'Date of birth cannot be changed'
+        });
+      }
       
       const profileData = {
         userId: req.user.id,
-        age,
+        dateOfBirth,
+        dateOfBirthEstimated: false,
+        gender,
         location,
         occupation,
         education,
         bio,
         interests: interests || [],
+        isPhoneVerified: !!req.user.isPhoneVerified,
         preferences: {
           ageRange: {
             min: preferences?.ageRange?.min || 18,
             max: preferences?.ageRange?.max || 50
           },
           maxDistance: preferences?.maxDistance || 25,
-          lookingFor: preferences?.lookingFor || 'anything'
+          lookingFor: preferences?.lookingFor || 'anything',
+          interestedIn: [...new Set(preferences?.interestedIn || [])],
+          verifiedOnly: preferences?.verifiedOnly || false
+        },
+        lifestyle: pickLifestyleFields(lifestyle),
+        lifestyleVisibility: {
+          ...Object.fromEntries(LIFESTYLE_FIELDS.map(field => [field, true])),
+          ...pickLifestyleFields(lifestyleVisibility)
         }
       };
 
@@ -129,15 +177,23 @@ router.put('/setup',
       }
 
       if (profile) {
-        // Update existing profile
+        // Update existing profile; the legacy age gives way to the birth date
         Object.assign(profile, profileData);
-        await profile.save();
+        profile.age = undefined;
+        if (profileData.photos) {
+          profile.resetPhotoVerification();
+        }
       } else {
         // Create new profile
         profile = new Profile(profileData);
-        await profile.save();
       }
 
+      if (latitude !== undefined && longitude !== undefined) {
+        profile.setCoordinates(latitude, longitude);
+      }
+
+      await profile.save();
+
       // Update user's hasCompletedProfile status
       await User.findByIdAndUpdate(req.user.id, { 
         hasCompletedProfile: true 
@@ -152,6 +208,7 @@ router.put('/setup',
         data: {
           profile: {
             ...profile._doc,
+            age: Profile.getAge(profile),
             profileScore
           }
         }
@@ -181,9 +238,24 @@ router.put('/update',
         });
       }
 
+      // A birth date is fixed once given, unless it was estimated from a
+      // legacy age and still needs confirming
+      if (req.body.dateOfBirth !== undefined) {
+        if (profile.dateOfBirth && !profile.dateOfBirthEstimated) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Date of birth cannot be changed'
+          });
+        }
+
+        profile.dateOfBirth = req.body.dateOfBirth;
+        profile.dateOfBirthEstimated = false;
+        profile.age = undefined;
+      }
+
       // Update fields
       const updateFields = [
-        'age', 'location', 'occupation', 'education', 'bio', 'interests'
+        'gender', 'location', 'occupation', 'education', 'bio', 'interests', 'isIncognito'
       ];
       
       updateFields.forEach(field => {
@@ -192,6 +264,13 @@ router.put('/update',
         }
       });
 
+      // Merge lifestyle answers and their visibility toggles
+      ['lifestyle', 'lifestyleVisibility'].forEach(group => {
+        Object.entries(pickLifestyleFields(req.body[group])).forEach(([field, value]) => {
+          profile.set(`${group}.${field}`, value);
+        });
+      });
+
       // Update preferences if provided
       if (req.body.preferences) {
         if (req.body.preferences.ageRange) {
@@ -206,6 +285,12 @@ router.put('/update',
         if (req.body.preferences.lookingFor) {
           profile.preferences.lookingFor = req.body.preferences.lookingFor;
         }
+        if (req.body.preferences.interestedIn) {
+          profile.preferences.interestedIn = [...new Set(req.body.preferences.interestedIn)];
+        }
+        if (req.body.preferences.verifiedOnly !== undefined) {
+          profile.preferences.verifiedOnly = req.body.preferences.verifiedOnly;
+        }
       }
 
       await profile.save();
@@ -219,6 +304,7 @@ router.put('/update',
         data: {
           profile: {
             ...profile._doc,
+            age: Profile.getAge(profile),
             profileScore
           }
         }
@@ -229,6 +315,207 @@ router.put('/update',
   }
 );
 
+// @desc    Get the prompts available to answer
+// @route   GET /api/profile/prompts/catalog
+// @access  Private
+router.get('/prompts/catalog', authenticate, requireEmailVerification, async (req, res, next) => {
+  try {
+    const prompts = await Prompt.find({ isActive: true })
+      .select('text')
+      .sort({ createdAt: 1 });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        prompts: prompts.map(prompt => ({
+          id: prompt._id,
+          text: prompt.text
+        })),
+        maxAnswers: PROFILE_CONSTANTS.PROMPTS.MAX_PER_PROFILE
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Replace answered prompts, in display order
+// @route   PUT /api/profile/prompts
+// @access  Private
+router.put('/prompts',
+  authenticate,
+  requireEmailVerification,
+  profileUpdateRateLimit,
+  validatePromptAnswers,
+  async (req, res, next) => {
+    try {
+      const { prompts } = req.body;
+
+      const profile = await Profile.findOne({ userId: req.user.id });
+
+      if (!profile) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Profile not found. Please complete profile setup first.'
+        });
+      }
+
+      // Retired prompts can be kept if already answered, but not newly picked
+      const answeredIds = new Set(profile.prompts.map(prompt => prompt.promptId.toString()));
+      const catalogPrompts = await Prompt.find({
+        _id: { $in: prompts.map(prompt => prompt.promptId) }
+      }).select('isActive');
+      const catalogById = new Map(catalogPrompts.map(prompt => [prompt._id.toString(), prompt]));
+
+      const unavailable = prompts.some(({ promptId }) => {
+        const catalogPrompt = catalogById.get(promptId);
+        return !catalogPrompt || (!catalogPrompt.isActive && !answeredIds.has(promptId));
+      });
+
+      if (unavailable) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: 'One or more prompts are not available'
+        });
+      }
+
+      profile.prompts = prompts.map(({ promptId, answer }, index) => ({
+        promptId,
+        answer,
+        order: index
+      }));
+
+      await profile.save();
+      await profile.populate('prompts.promptId', 'text');
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Prompts updated successfully',
+        data: {
+          prompts: Profile.formatPrompts(profile),
+          profileScore: calculateProfileScore(profile)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Update precise location used for distance filtering
+// @route   PUT /api/profile/location
+// @access  Private
+router.put('/location',
+  authenticate,
+  requireEmailVerification,
+  profileUpdateRateLimit,
+  validateLocationUpdate,
+  async (req, res, next) => {
+    try {
+      const { latitude, longitude, location } = req.body;
+
+      const profile = await Profile.findOne({ userId: req.user.id });
+
+      if (!profile) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Profile not found. Please complete profile setup first.'
+        });
+      }
+
+      profile.setCoordinates(latitude, longitude);
+      if (location) {
+        profile.location = location;
+      }
+
+      await profile.save();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Location updated successfully',
+        data: {
+          location: profile.location,
+          latitude,
+          longitude,
+          locationUpdatedAt: profile.locationUpdatedAt
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Remove precise location, keeping the display city
+// @route   DELETE /api/profile/location
+// @access  Private
+router.delete('/location',
+  authenticate,
+  requireEmailVerification,
+  async (req, res, next) => {
+    try {
+      const profile = await Profile.findOne({ userId: req.user.id });
+
+      if (!profile) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Profile not found'
+        });
+      }
+
+      profile.clearCoordinates();
+      await profile.save();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Precise location removed successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Pause or resume the current user's profile
+// @route   PUT /api/profile/pause
+// @access  Private
+router.put('/pause',
+  authenticate,
+  requireEmailVerification,
+  validateProfilePause,
+  async (req, res, next) => {
+    try {
+      const { paused } = req.body;
+
+      const profile = await Profile.findOne({ userId: req.user.id });
+
+      if (!profile) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Profile not found'
+        });
+      }
+
+      if (paused !== profile.isPaused) {
+        profile.isPaused = paused;
+        profile.pausedAt = paused ? new Date() : undefined;
+        await profile.save();
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: paused ? 'Profile paused' : 'Profile resumed',
+        data: {
+          isPaused: profile.isPaused,
+          pausedAt: profile.pausedAt || null
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // @desc    Upload profile photo
 // @route   POST /api/profile/upload-photo
 // @access  Private
@@ -276,10 +563,12 @@ router.post('/upload-photo',
         url: uploadResult.secure_url,
         publicId: uploadResult.public_id,
         isMain: profile.photos.length === 0, // First photo is main
+        caption: req.body.caption,
         uploadedAt: new Date()
       };
 
       profile.photos.push(newPhoto);
+      profile.resetPhotoVerification();
       await profile.save();
 
       res.status(HTTP_STATUS.OK).json({
@@ -340,6 +629,8 @@ router.delete('/photo/:photoId',
         profile.photos[0].isMain = true;
       }
 
+      profile.resetPhotoVerification();
+
       await profile.save();
 
       res.status(HTTP_STATUS.OK).json({
@@ -401,31 +692,526 @@ router.put('/photo/:photoId/main',
   }
 );
 
-// Helper function to calculate profile completion score
+// @desc    Update photo caption
+// @route   PUT /api/profile/photo/:photoId/caption
+// @access  Private
+router.put('/photo/:photoId/caption',
+  authenticate,
+  requireEmailVerification,
+  validateObjectId('photoId'),
+  validatePhotoCaption,
+  async (req, res, next) => {
+    try {
+      const profile = await Profile.findOne({ userId: req.user.id });
+
+      if (!profile) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Profile not found'
+        });
+      }
+
+      const photo = profile.photos.id(req.params.photoId);
+
+      if (!photo) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Photo not found'
+        });
+      }
+
+      // An empty caption clears it
+      photo.caption = req.body.caption || undefined;
+      await profile.save();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Caption updated successfully',
+        data: {
+          photo
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Reorder photos
+// @route   PUT /api/profile/photos/order
+// @access  Private
+router.put('/photos/order',
+  authenticate,
+  requireEmailVerification,
+  validatePhotoOrder,
+  async (req, res, next) => {
+    try {
+      const { photoIds } = req.body;
+
+      const profile = await Profile.findOne({ userId: req.user.id });
+
+      if (!profile) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Profile not found'
+        });
+      }
+
+      // The new order must be a permutation of the current photos
+      const photosById = new Map(profile.photos.map(photo => [photo._id.toString(), photo]));
+      if (photoIds.length !== profile.photos.length || !photoIds.every(id => photosById.has(id))) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: 'photoIds must list every photo on the profile exactly once'
+        });
+      }
+
+      profile.photos = photoIds.map(id => photosById.get(id).toObject());
+      await profile.save();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Photos reordered successfully',
+        data: {
+          photos: profile.photos
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Replace photo gallery
+// @route   PUT /api/profile/photos
+// @access  Private
+router.put('/photos',
+  authenticate,
+  requireEmailVerification,
+  uploadRateLimit,
+  uploadMultiple('photos', USER_CONSTANTS.MAX_PHOTOS),
+  validateImageUpload,
+  validatePhotoGallery,
+  async (req, res, next) => {
+    try {
+      const { gallery } = req.body;
+      const files = req.files || [];
+
+      const profile = await Profile.findOne({ userId: req.user.id });
+
+      if (!profile) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Profile not found'
+        });
+      }
+
+      const photosById = new Map(profile.photos.map(photo => [photo._id.toString(), photo]));
+
+      if (gallery.some(item => item.photoId && !photosById.has(item.photoId))) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Photo not found'
+        });
+      }
+
+      const uploadIndexes = gallery
+        .filter(item => item.upload !== undefined)
+        .map(item => item.upload);
+      if (uploadIndexes.length !== files.length || uploadIndexes.some(index => index >= files.length)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: 'Each uploaded file must be placed in the gallery exactly once'
+        });
+      }
+
+      // Upload new files before touching the profile; if any upload fails,
+      // remove the ones that succeeded so nothing is left orphaned
+      const uploads = await Promise.allSettled(files.map((file, index) =>
+        CloudinaryService.uploadImage(file.buffer, 'profiles', `${req.user.id}_${Date.now()}_${index}`)
+      ));
+      const failedUpload = uploads.find(upload => upload.status === 'rejected');
+      if (failedUpload) {
+        const uploadedIds = uploads
+          .filter(upload => upload.status === 'fulfilled')
+          .map(upload => upload.value.public_id);
+        await CloudinaryService.deleteMultipleImages(uploadedIds)
+          .catch(error => console.error('Failed to clean up gallery uploads:', error));
+        throw failedUpload.reason;
+      }
+
+      const photos = gallery.map(item => {
+        if (item.photoId) {
+          const existing = photosById.get(item.photoId).toObject();
+          return {
+            ...existing,
+            caption: item.caption !== undefined ? item.caption || undefined : existing.caption,
+            isMain: false
+          };
+        }
+
+        const { value: uploadResult } = uploads[item.upload];
+        return {
+          url: uploadResult.secure_url,
+          publicId: uploadResult.public_id,
+          caption: item.caption || undefined,
+          isMain: false,
+          uploadedAt: new Date()
+        };
+      });
+
+      // Keep the current main photo unless another one is picked; the
+      // pre-save hook falls back to the first photo otherwise
+      const currentMain = profile.getMainPhoto();
+      let mainIndex = gallery.findIndex(item => item.isMain);
+      if (mainIndex === -1 && currentMain) {
+        mainIndex = gallery.findIndex(item => item.photoId === currentMain._id.toString());
+      }
+      if (mainIndex !== -1) {
+        photos[mainIndex].isMain = true;
+      }
+
+      const keptIds = new Set(gallery.map(item => item.photoId).filter(Boolean));
+      const removedPhotos = profile.photos.filter(photo => !keptIds.has(photo._id.toString()));
+
+      profile.photos = photos;
+      if (files.length > 0 || removedPhotos.length > 0) {
+        profile.resetPhotoVerification();
+      }
+      try {
+        await profile.save();
+      } catch (error) {
+        await CloudinaryService.deleteMultipleImages(uploads.map(upload => upload.value.public_id))
+          .catch(cleanupError => console.error('Failed to clean up gallery uploads:', cleanupError));
+        throw error;
+      }
+
+      // The gallery is already saved; a failed delete only leaves an orphaned image
+      if (removedPhotos.length > 0) {
+        await CloudinaryService.deleteMultipleImages(removedPhotos.map(photo => photo.publicId))
+          .catch(error => console.error('Failed to delete removed photos:', error));
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Photos updated successfully',
+        data: {
+          photos: profile.photos,
+          added: files.length,
+          removed: removedPhotos.length
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get who viewed the current user's profile
+// @route   GET /api/profile/viewers
+// @access  Private (identities on premium plans)
+router.get('/viewers',
+  authenticate,
+  requireEmailVerification,
+  validatePagination,
+  async (req, res, next) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const revealIdentities = req.user.hasPremiumPlan();
+
+      const { viewers, total } = await ProfileViewService.getViewers(req.user._id, {
+        limit: parseInt(limit),
+        skip: (page - 1) * limit,
+        revealIdentities
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          viewers,
+          identitiesHidden: !revealIdentities,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            total,
+            hasMore: page * limit < total
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get photo verification status
+// @route   GET /api/profile/verification
+// @access  Private
+router.get('/verification', authenticate, requireEmailVerification, async (req, res, next) => {
+  try {
+    const [profile, verification] = await Promise.all([
+      Profile.findOne({ userId: req.user.id }).select('isPhotoVerified photoVerifiedAt'),
+      PhotoVerificationService.getLatestVerification(req.user.id)
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        isPhotoVerified: !!profile?.isPhotoVerified,
+        photoVerifiedAt: profile?.photoVerifiedAt || null,
+        verification: PhotoVerificationService.formatVerification(verification)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a random pose to take the verification selfie in
+// @route   POST /api/profile/verification/pose
+// @access  Private
+router.post('/verification/pose', authenticate, requireEmailVerification, async (req, res, next) => {
+  try {
+    const result = await PhotoVerificationService.assignPose(req.user.id);
+
+    if (result.error === 'profile_not_found') {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Profile not found. Please complete profile setup first.'
+      });
+    }
+
+    if (result.error === 'no_photos') {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Add at least one photo before verifying your profile'
+      });
+    }
+
+    if (result.error) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: result.error === 'already_verified'
+          ? 'Your photos are already verified'
+          : 'Your selfie is already waiting for review'
+      });
+    }
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: 'Take a selfie in this pose and submit it before it expires',
+      data: {
+        verification: PhotoVerificationService.formatVerification(result.verification)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Submit verification selfie for review
+// @route   POST /api/profile/verification/selfie
+// @access  Private
+router.post('/verification/selfie',
+  authenticate,
+  requireEmailVerification,
+  uploadRateLimit,
+  uploadSingle('selfie'),
+  validateImageUpload,
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: 'No selfie file provided'
+        });
+      }
+
+      const result = await PhotoVerificationService.submitSelfie(req.user.id, req.file.buffer);
+
+      if (result.error) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: 'No active pose. Please request a new pose and try again.'
+        });
+      }
+
+      res.status(HTTP_STATUS.ACCEPTED).json({
+        success: true,
+        message: 'Selfie submitted for review',
+        data: {
+          verification: PhotoVerificationService.formatVerification(result.verification)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Block a user
+// @route   POST /api/profile/:userId/block
+// @access  Private
+router.post('/:userId/block',
+  authenticate,
+  requireEmailVerification,
+  validateObjectId('userId'),
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+
+      if (userId === req.user.id) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: 'You cannot block yourself'
+        });
+      }
+
+      if (!await User.exists({ _id: userId })) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      // Blocking twice is a no-op
+      await Block.updateOne(
+        { blockerId: req.user._id, blockedId: userId },
+        { $setOnInsert: { blockerId: req.user._id, blockedId: userId } },
+        { upsert: true }
+      );
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'User blocked successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Unblock a user
+// @route   DELETE /api/profile/:userId/block
+// @access  Private
+router.delete('/:userId/block',
+  authenticate,
+  requireEmailVerification,
+  validateObjectId('userId'),
+  async (req, res, next) => {
+    try {
+      const result = await Block.deleteOne({
+        blockerId: req.user._id,
+        blockedId: req.params.userId
+      });
+
+      if (result.deletedCount === 0) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'User is not blocked'
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'User unblocked successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get another user's public profile
+// @route   GET /api/profile/:userId
+// @access  Private
+// Registered last so it never shadows the fixed paths above
+router.get('/:userId',
+  authenticate,
+  requireEmailVerification,
+  validateObjectId('userId'),
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+
+      const [user, profile, viewerProfile, isBlocked] = await Promise.all([
+        User.findById(userId).select('name accountStatus isOnline lastSeen'),
+        Profile.findOne({ userId }).populate('prompts.promptId', 'text'),
+        Profile.findOne({ userId: req.user.id }),
+        Block.isBlockedBetween(req.user._id, userId)
+      ]);
+
+      // Blocked, deleted, suspended and paused profiles all look missing
+      const isHidden = !user || !profile || isBlocked ||
+        user.isPendingDeletion() || user.isSuspended() ||
+        profile.isPaused || profile.isVisible === false;
+
+      if (isHidden) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Profile not found'
+        });
+      }
+
+      ProfileViewService.recordView(req.user._id, user._id, { io: req.app.get('io') })
+        .catch(error => console.error('Failed to record profile view:', error));
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          profile: MatchingService.formatPublicProfile(profile, user, viewerProfile)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Helper function to calculate profile completion score. Uses the same
+// weights as Profile#calculateProfileScore but gives partial credit.
 function calculateProfileScore(profile) {
   let score = 0;
   const maxScore = 100;
-  
-  // Basic info (40 points)
-  if (profile.age) score += 10;
-  if (profile.location) score += 10;
-  if (profile.bio && profile.bio.trim().length > 0) score += 20;
-  
-  // Photos (30 points)
-  if (profile.photos && profile.photos.length > 0) {
-    score += Math.min(profile.photos.length * 10, 30);
-  }
-  
-  // Interests (20 points)
-  if (profile.interests && profile.interests.length > 0) {
-    score += Math.min(profile.interests.length * 4, 20);
+  const weights = PROFILE_CONSTANTS.SCORE_WEIGHTS;
+
+  // Share of a weight earned by count items when needed items earn all of it
+  const partial = (weight, count, needed) => weight * Math.min(count / needed, 1);
+
+  // Basic info
+  if (profile.dateOfBirth || profile.age) score += weights.DATE_OF_BIRTH;
+  if (profile.location) score += weights.LOCATION;
+  if (profile.bio && profile.bio.trim().length > 0) score += weights.BIO;
+
+  // Photos, full marks from 3
+  score += partial(weights.PHOTOS, profile.photos ? profile.photos.length : 0, 3);
+
+  // Interests, full marks from 5
+  score += partial(weights.INTERESTS, profile.interests ? profile.interests.length : 0, 5);
+
+  // Additional info
+  if (profile.occupation) score += weights.OCCUPATION;
+  if (profile.education) score += weights.EDUCATION;
+
+  // Lifestyle, full marks from 5 answers
+  score += partial(weights.LIFESTYLE, Profile.getAnsweredLifestyleCount(profile), 5);
+
+  // Prompts
+  if (profile.prompts && profile.prompts.length > 0) score += weights.PROMPTS;
+
+  return Math.min(Math.round(score), maxScore);
+}
+
+// Helper function to keep only known lifestyle fields from a request body
+function pickLifestyleFields(values) {
+  if (!values || typeof values !== 'object') {
+    return {};
   }
-  
-  // Additional info (10 points)
-  if (profile.occupation) score += 5;
-  if (profile.education) score += 5;
-  
-  return Math.min(score, maxScore);
+  return Object.fromEntries(
+    LIFESTYLE_FIELDS
+      .filter(field => values[field] !== undefined)
+      .map(field => [field, values[field]])
+  );
 }
 
 module.exports = router;
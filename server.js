@@ -27,6 +27,9 @@ const adminRoutes = require('./routes/admin');
 // Import socket handlers
 const socketHandler = require('./sockets');
 
+// Import scheduled jobs
+const { startScheduledJobs } = require('./jobs');
+
 const app = express();
 const server = createServer(app);
 
@@ -46,6 +49,9 @@ const io = new Server(server, {
   }
 });
 
+// Make socket server available to routes (e.g. to disconnect revoked sessions)
+app.set('io', io);
+
 // Connect to database
 connectDB();
 
@@ -64,7 +70,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "x-requested-with"]
+  allowedHeaders: ["Content-Type", "Authorization", "x-requested-with", "x-device-name"]
 }));
 
 // Rate limiting
@@ -122,6 +128,9 @@ app.use(errorHandler);
 
 const PORT = process.env.PORT || 3000;
 
+// Scheduled jobs (account purging, etc.)
+const scheduledJobs = startScheduledJobs();
+
 server.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -130,6 +139,7 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  scheduledJobs.stop();
   server.close(() => {
     mongoose.connection.close();
     process.exit(0);
@@ -138,6 +148,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received. Shutting down gracefully...');
+  scheduledJobs.stop();
   server.close(() => {
     mongoose.connection.close();
     process.exit(0);
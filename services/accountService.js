@@ -0,0 +1,186 @@
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Match = require('../models/Match');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const VideoCall = require('../models/VideoCall');
+const Notification = require('../models/Notification');
+const Subscription = require('../models/Subscription');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const Block = require('../models/Block');
+const AuthService = require('./authService');
+const SessionService = require('./sessionService');
+const CloudinaryService = require('./cloudinaryService');
+const NotificationService = require('./notificationService');
+const PhotoVerificationService = require('./photoVerificationService');
+const ProfileViewService = require('./profileViewService');
+const DataExportService = require('./dataExportService');
+const { USER_CONSTANTS, JOB_CONSTANTS, SOCKET_AUTH_CONSTANTS } = require('../constants');
+
+class AccountService {
+  // Hides the account and schedules it for purging after the grace period
+  static async requestDeletion(user, { io } = {}) {
+    const now = new Date();
+
+    user.accountStatus = USER_CONSTANTS.ACCOUNT_STATUS.PENDING_DELETION;
+    user.deletionRequestedAt = now;
+    user.deletionScheduledFor = new Date(now.getTime() + USER_CONSTANTS.ACCOUNT_DELETION_GRACE_PERIOD);
+    user.isOnline = false;
+    await user.save({ validateBeforeSave: false });
+
+    await Profile.updateOne({ userId: user._id }, { isVisible: false });
+
+    // Sign the user out everywhere; logging in again restores the account
+    await AuthService.revokeAllUserTokens(user._id, {
+      reason: 'account_deletion',
+      io
+    });
+
+    await NotificationService.sendAccountDeletionScheduledEmail(user);
+
+    return user.deletionScheduledFor;
+  }
+
+  static async restoreAccount(user) {
+    user.accountStatus = USER_CONSTANTS.ACCOUNT_STATUS.ACTIVE;
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await Profile.updateOne({ userId: user._id }, { isVisible: true });
+
+    await NotificationService.sendAccountRestoredEmail(user);
+
+    return user;
+  }
+
+  // Blocks the account and signs it out everywhere, closing open sockets.
+  // The current status and profile visibility are kept for reinstating.
+  static async suspendAccount(user, { reason, io } = {}) {
+    const profile = await Profile.findOne({ userId: user._id }).select('isVisible');
+
+    user.statusBeforeSuspension = user.accountStatus;
+    user.profileVisibleBeforeSuspension = profile ? profile.isVisible !== false : undefined;
+    user.accountStatus = USER_CONSTANTS.ACCOUNT_STATUS.SUSPENDED;
+    user.suspendedAt = new Date();
+    user.suspensionReason = reason;
+    user.isOnline = false;
+    await user.save({ validateBeforeSave: false });
+
+    await Profile.updateOne({ userId: user._id }, { isVisible: false });
+
+    await AuthService.revokeAllUserTokens(user._id, {
+      reason: SOCKET_AUTH_CONSTANTS.DISCONNECT_REASONS.ACCOUNT_SUSPENDED,
+      io
+    });
+
+    return user;
+  }
+
+  // Puts the account back the way it was, so a pending deletion carries on
+  // and a hidden profile stays hidden
+  static async unsuspendAccount(user) {
+    const wasVisible = user.profileVisibleBeforeSuspension !== false;
+
+    user.accountStatus = user.statusBeforeSuspension || USER_CONSTANTS.ACCOUNT_STATUS.ACTIVE;
+    user.suspendedAt = undefined;
+    user.suspensionReason = undefined;
+    user.statusBeforeSuspension = undefined;
+    user.profileVisibleBeforeSuspension = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await Profile.updateOne(
+      { userId: user._id },
+      { isVisible: wasVisible && !user.isPendingDeletion() }
+    );
+
+    return user;
+  }
+
+  // Permanently removes a user and everything that references them
+  static async purgeUser(userId, { io } = {}) {
+    if (io) {
+      SessionService.disconnectUserSockets(io, userId, SOCKET_AUTH_CONSTANTS.DISCONNECT_REASONS.ACCOUNT_DELETED);
+    }
+
+    const profile = await Profile.findOne({ userId });
+
+    if (profile && profile.photos.length > 0) {
+      try {
+        await CloudinaryService.deleteMultipleImages(
+          profile.photos.map(photo => photo.publicId)
+        );
+      } catch (error) {
+        // Orphaned images are preferable to keeping personal data around
+        console.error(`Failed to delete photos for user ${userId}:`, error.message);
+      }
+    }
+
+    await PhotoVerificationService.deleteUserVerifications(userId);
+
+    const conversationIds = await Conversation.find({ participants: userId }).distinct('_id');
+
+    await Promise.all([
+      Profile.deleteOne({ userId }),
+      Match.deleteMany({
+        $or: [
+          { user1Id: userId },
+          { user2Id: userId }
+        ]
+      }),
+      Message.deleteMany({
+        $or: [
+          { conversationId: { $in: conversationIds } },
+          { senderId: userId }
+        ]
+      }),
+      Conversation.deleteMany({ _id: { $in: conversationIds } }),
+      VideoCall.deleteMany({ participants: userId }),
+      Notification.deleteMany({
+        $or: [
+          { userId },
+          { fromUserId: userId }
+        ]
+      }),
+      Subscription.deleteMany({ userId }),
+      Session.deleteMany({ userId }),
+      RefreshToken.deleteMany({ userId }),
+      DataExportService.deleteUserExports(userId),
+      ProfileViewService.deleteUserViews(userId),
+      Block.deleteMany({
+        $or: [
+          { blockerId: userId },
+          { blockedId: userId }
+        ]
+      })
+    ]);
+
+    await User.deleteOne({ _id: userId });
+  }
+
+  // Purges accounts whose deletion grace period has run out
+  static async purgeExpiredAccounts(batchSize = JOB_CONSTANTS.ACCOUNT_PURGE_BATCH_SIZE) {
+    const users = await User.find({
+      accountStatus: USER_CONSTANTS.ACCOUNT_STATUS.PENDING_DELETION,
+      deletionScheduledFor: { $lte: new Date() }
+    })
+      .select('_id')
+      .limit(batchSize)
+      .lean();
+
+    let purged = 0;
+    for (const user of users) {
+      try {
+        await this.purgeUser(user._id);
+        purged++;
+      } catch (error) {
+        console.error(`Failed to purge user ${user._id}:`, error.message);
+      }
+    }
+
+    return purged;
+  }
+}
+
+module.exports = AccountService;
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const AuthService = require('./authService');
+const { API_KEY_CONSTANTS } = require('../constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KEY_PATTERN = new RegExp(`^${API_KEY_CONSTANTS.KEY_PREFIX}_([a-f0-9]+)_([a-f0-9]+)$`);
+
+class ApiKeyService {
+  // Keys look like rlc_<prefix>_<secret>; the prefix identifies the key in
+  // listings and logs, only a hash of the full key is stored
+  static isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(`${API_KEY_CONSTANTS.KEY_PREFIX}_`);
+  }
+
+  static async createKey({ name, scopes, expiresInDays, createdBy }) {
+    const prefix = crypto.randomBytes(API_KEY_CONSTANTS.PREFIX_BYTES).toString('hex');
+    const secret = crypto.randomBytes(API_KEY_CONSTANTS.SECRET_BYTES).toString('hex');
+    const apiKey = `${API_KEY_CONSTANTS.KEY_PREFIX}_${prefix}_${secret}`;
+
+    const record = await ApiKey.create({
+      name,
+      prefix,
+      keyHash: AuthService.hashToken(apiKey),
+      scopes: [...new Set(scopes)],
+      createdBy,
+      expiresAt: new Date(Date.now() + (expiresInDays || API_KEY_CONSTANTS.DEFAULT_EXPIRY_DAYS) * DAY_MS)
+    });
+
+    return { apiKey, record };
+  }
+
+  // Resolves with the active key record, or null for unknown, revoked or
+  // expired keys and keys whose creator is gone, suspended or being deleted
+  static async resolveApiKey(apiKey, context = {}) {
+    const match = KEY_PATTERN.exec(apiKey);
+    if (!match) {
+      return null;
+    }
+
+    const record = await ApiKey.findOne({ prefix: match[1] })
+      .select('+keyHash')
+      .populate('createdBy', 'role accountStatus twoFactor.enabled twoFactor.required');
+    if (!record) {
+      return null;
+    }
+
+    const expected = Buffer.from(record.keyHash, 'hex');
+    const actual = Buffer.from(AuthService.hashToken(apiKey), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual) || !record.isActive()) {
+      return null;
+    }
+
+    const creator = record.createdBy;
+    if (!creator || !creator.hasPermission || creator.isSuspended() || creator.isPendingDeletion()) {
+      return null;
+    }
+
+    ApiKey.updateOne(
+      { _id: record._id },
+      {
+        $set: { lastUsedAt: new Date(), lastUsedIp: context.ip },
+        $inc: { usageCount: 1 }
+      }
+    ).catch(error => console.error('Error updating API key usage:', error));
+
+    return record;
+  }
+
+  static isPathAllowed(path) {
+    return API_KEY_CONSTANTS.ALLOWED_PATH_PREFIXES.some(prefix =>
+      path === prefix || path.startsWith(`${prefix}/`)
+    );
+  }
+
+  static async revokeKey(keyId, revokedBy) {
+    return ApiKey.findOneAndUpdate(
+      { _id: keyId, revokedAt: null },
+      { revokedAt: new Date(), revokedBy },
+      { new: true }
+    );
+  }
+
+  static formatApiKey(record) {
+    return {
+      id: record._id,
+      name: record.name,
+      prefix: `${API_KEY_CONSTANTS.KEY_PREFIX}_${record.prefix}`,
+      scopes: record.scopes,
+      createdBy: record.createdBy,
+      createdAt: record.createdAt,
+      expiresAt: record.expiresAt,
+      lastUsedAt: record.lastUsedAt || null,
+      lastUsedIp: record.lastUsedIp || null,
+      usageCount: record.usageCount,
+      revokedAt: record.revokedAt,
+      isActive: record.isActive()
+    };
+  }
+}
+
+module.exports = ApiKeyService;
@@ -1,18 +1,26 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const SessionService = require('./sessionService');
 const { USER_CONSTANTS } = require('../constants');
 
 class AuthService {
-  static generateToken(user) {
+  static generateToken(user, sessionId) {
     const payload = {
       id: user._id,
       email: user.email,
-      role: user.role
+      role: user.role,
+      tv: user.tokenVersion || 0,
+      sid: sessionId
     };
 
     return jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: USER_CONSTANTS.TOKEN_EXPIRY
+      expiresIn: USER_CONSTANTS.TOKEN_EXPIRY,
+      jwtid: crypto.randomBytes(16).toString('hex')
     });
   }
 
@@ -24,6 +32,67 @@ class AuthService {
     }
   }
 
+  // Verifies an access token and checks it against the revocation list, the
+  // user's token version, its session and the account status. Resolves with a
+  // null user if the account is gone.
+  static async resolveAccessToken(token, context = {}) {
+    const decoded = this.verifyToken(token);
+
+    if (!decoded.jti || !decoded.sid || await RevokedToken.isRevoked(decoded.jti)) {
+      throw new Error('Token has been revoked');
+    }
+
+    const [user, session] = await Promise.all([
+      User.findById(decoded.id).select('-password'),
+      Session.findById(decoded.sid)
+    ]);
+
+    if (!session || !session.isActive() || !session.userId.equals(decoded.id)) {
+      throw new Error('Session has been revoked');
+    }
+
+    if (!user) {
+      return { decoded, user: null, session };
+    }
+
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      throw new Error('Token has been revoked');
+    }
+
+    if (user.isSuspended()) {
+      throw new Error('Account has been suspended');
+    }
+
+    SessionService.touchSession(session, context)
+      .catch(error => console.error('Error updating session activity:', error));
+
+    return { decoded, user, session };
+  }
+
+  static async revokeAccessToken(decoded, reason = 'logout') {
+    if (!decoded || !decoded.jti) {
+      return false;
+    }
+
+    await RevokedToken.revoke(decoded.jti, new Date(decoded.exp * 1000), {
+      userId: decoded.id,
+      reason
+    });
+    return true;
+  }
+
+  // Invalidates every session, access and refresh token the user currently holds
+  static async revokeAllUserTokens(userId, options = {}) {
+    await Promise.all([
+      User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }),
+      SessionService.revokeUserSessions(userId, {
+        reason: options.reason || 'logout_all',
+        io: options.io
+      }),
+      RefreshToken.revokeAllForUser(userId)
+    ]);
+  }
+
   static async hashPassword(password) {
     const saltRounds = 12;
     return await bcrypt.hash(password, saltRounds);
@@ -37,10 +106,66 @@ class AuthService {
     return crypto.randomBytes(32).toString('hex');
   }
 
+  // Replaces any outstanding verification token on the user document and
+  // returns the raw token to email. The caller is responsible for saving.
+  static setEmailVerificationToken(user) {
+    const verificationToken = this.generateEmailVerificationToken();
+
+    user.emailVerificationToken = this.hashToken(verificationToken);
+    user.emailVerificationExpires = new Date(Date.now() + USER_CONSTANTS.EMAIL_TOKEN_EXPIRY);
+    user.emailVerificationSentAt = new Date();
+
+    return verificationToken;
+  }
+
   static generatePasswordResetToken() {
     return crypto.randomBytes(32).toString('hex');
   }
 
+  static createMagicLinkToken(user) {
+    return jwt.sign(
+      {
+        id: user._id,
+        purpose: 'magic_link',
+        tv: user.tokenVersion || 0
+      },
+      process.env.JWT_SECRET,
+      {
+        expiresIn: USER_CONSTANTS.MAGIC_LINK_EXPIRY,
+        jwtid: crypto.randomBytes(16).toString('hex')
+      }
+    );
+  }
+
+  // Verifies a magic link and marks it used. Resolves with null if the link is
+  // invalid, expired or was already used.
+  static async consumeMagicLinkToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+
+    if (decoded.purpose !== 'magic_link' || !decoded.jti) {
+      return null;
+    }
+
+    // Only the first request to record the token id gets to use it
+    try {
+      const result = await RevokedToken.revoke(decoded.jti, new Date(decoded.exp * 1000), {
+        userId: decoded.id,
+        reason: 'magic_link_used'
+      });
+      return result.upsertedCount === 1 ? decoded : null;
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
   static extractTokenFromHeader(authHeader) {
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return null;
@@ -66,6 +191,102 @@ class AuthService {
   static generateRefreshToken() {
     return crypto.randomBytes(40).toString('hex');
   }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  static async createRefreshToken(userId, options = {}) {
+    const refreshToken = this.generateRefreshToken();
+
+    const record = await RefreshToken.create({
+      userId,
+      tokenHash: this.hashToken(refreshToken),
+      sessionId: options.sessionId,
+      expiresAt: new Date(Date.now() + USER_CONSTANTS.REFRESH_TOKEN_EXPIRY),
+      createdByIp: options.ip
+    });
+
+    return { refreshToken, record };
+  }
+
+  // Starts a new session for the device described by context and issues its
+  // first token pair
+  static async issueAuthTokens(user, context = {}) {
+    const session = await SessionService.createSession(user._id, context);
+    const token = this.generateToken(user, session._id);
+    const { refreshToken } = await this.createRefreshToken(user._id, {
+      sessionId: session._id,
+      ip: context.ip
+    });
+
+    return {
+      token,
+      refreshToken,
+      expiresAt: this.getTokenExpiry(token),
+      sessionId: session._id
+    };
+  }
+
+  // Exchanges a refresh token for a new pair. Presenting a token that was
+  // already rotated is treated as theft and revokes the whole session.
+  static async rotateRefreshToken(refreshToken, options = {}) {
+    const existing = await RefreshToken.findOne({ tokenHash: this.hashToken(refreshToken) });
+    if (!existing) {
+      return null;
+    }
+
+    if (existing.revokedAt) {
+      return null;
+    }
+
+    if (existing.usedAt) {
+      console.warn(`Refresh token reuse detected for user ${existing.userId}, revoking session ${existing.sessionId}`);
+      await SessionService.revokeSession(existing.sessionId, { reason: 'refresh_token_reuse', io: options.io });
+      return null;
+    }
+
+    if (existing.expiresAt <= new Date()) {
+      return null;
+    }
+
+    // Claim the token atomically so two concurrent refreshes cannot both succeed
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: existing._id, usedAt: null, revokedAt: null },
+      { usedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      await SessionService.revokeSession(existing.sessionId, { reason: 'refresh_token_reuse', io: options.io });
+      return null;
+    }
+
+    const [user, session] = await Promise.all([
+      User.findById(existing.userId),
+      SessionService.extendSession(existing.sessionId, options)
+    ]);
+    if (!user || !session || user.isSuspended()) {
+      await SessionService.revokeSession(existing.sessionId, { reason: 'invalid_refresh' });
+      return null;
+    }
+
+    const { refreshToken: nextRefreshToken, record } = await this.createRefreshToken(user._id, {
+      sessionId: session._id,
+      ip: options.ip
+    });
+
+    claimed.replacedBy = record._id;
+    await claimed.save();
+
+    const token = this.generateToken(user, session._id);
+
+    return {
+      user,
+      token,
+      refreshToken: nextRefreshToken,
+      expiresAt: this.getTokenExpiry(token)
+    };
+  }
 }
 
 module.exports = AuthService;
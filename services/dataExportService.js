@@ -0,0 +1,372 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Match = require('../models/Match');
+const Message = require('../models/Message');
+const VideoCall = require('../models/VideoCall');
+const Notification = require('../models/Notification');
+const Subscription = require('../models/Subscription');
+const NotificationService = require('./notificationService');
+const { DATA_EXPORT_CONSTANTS, MATCH_CONSTANTS } = require('../constants');
+
+const { STATUS } = DATA_EXPORT_CONSTANTS;
+
+class DataExportService {
+  static getActiveExport(userId) {
+    return DataExport.findOne({
+      userId,
+      status: { $in: [STATUS.PENDING, STATUS.PROCESSING] }
+    });
+  }
+
+  // Earliest time the user may request another export
+  static async getNextRequestTime(userId) {
+    const lastExport = await DataExport.findOne({
+      userId,
+      status: { $ne: STATUS.FAILED }
+    }).sort({ createdAt: -1 });
+
+    if (!lastExport) {
+      return new Date(0);
+    }
+
+    return new Date(lastExport.createdAt.getTime() + DATA_EXPORT_CONSTANTS.REQUEST_COOLDOWN);
+  }
+
+  // Queues an export and starts building it in the background
+  static async requestExport(userId, { io } = {}) {
+    const dataExport = await DataExport.create({
+      userId,
+      expiresAt: new Date(Date.now() + DATA_EXPORT_CONSTANTS.RETENTION)
+    });
+
+    setImmediate(() => {
+      this.processExport(dataExport._id, { io })
+        .catch(error => console.error('Data export failed:', error));
+    });
+
+    return dataExport;
+  }
+
+  static async processExport(exportId, { io } = {}) {
+    // Claim the export so concurrent workers do not build it twice
+    const dataExport = await DataExport.findOneAndUpdate(
+      { _id: exportId, status: STATUS.PENDING },
+      { status: STATUS.PROCESSING, startedAt: new Date() },
+      { new: true }
+    );
+
+    if (!dataExport) {
+      return null;
+    }
+
+    let account;
+    let archiveFileId;
+    try {
+      const data = await this.buildArchive(dataExport.userId);
+      account = data.account;
+      const archive = JSON.stringify(data, null, 2);
+      const expiresAt = new Date(Date.now() + DATA_EXPORT_CONSTANTS.RETENTION);
+
+      archiveFileId = await this.storeArchive(dataExport, archive, expiresAt);
+
+      dataExport.archiveFileId = archiveFileId;
+      dataExport.size = Buffer.byteLength(archive);
+      dataExport.status = STATUS.COMPLETED;
+      dataExport.completedAt = new Date();
+      dataExport.expiresAt = expiresAt;
+      await dataExport.save();
+    } catch (error) {
+      if (archiveFileId) {
+        await this.getArchiveBucket().delete(archiveFileId)
+          .catch(deleteError => console.error('Failed to remove data export archive:', deleteError));
+      }
+
+      // Written directly rather than saving the in-memory document, which may
+      // be exactly what failed to save
+      await DataExport.updateOne(
+        { _id: dataExport._id },
+        { status: STATUS.FAILED, error: error.message, $unset: { archiveFileId: 1 } }
+      );
+      dataExport.status = STATUS.FAILED;
+      dataExport.error = error.message;
+      dataExport.archiveFileId = undefined;
+      return dataExport;
+    }
+
+    NotificationService.sendDataExportReadyNotification(
+      { _id: dataExport.userId, email: account.email, name: account.name },
+      dataExport,
+      this.createDownloadUrl(dataExport),
+      io
+    ).catch(error => console.error('Failed to send data export notification:', error));
+
+    return dataExport;
+  }
+
+  // Picks up exports left behind by a restart or a crashed worker
+  static async processPendingExports() {
+    const staleBefore = new Date(Date.now() - DATA_EXPORT_CONSTANTS.STALE_AFTER);
+
+    await DataExport.updateMany(
+      { status: STATUS.PROCESSING, startedAt: { $lt: staleBefore } },
+      { status: STATUS.PENDING }
+    );
+
+    const pending = await DataExport.find({ status: STATUS.PENDING }).select('_id').lean();
+
+    let processed = 0;
+    for (const { _id } of pending) {
+      // One broken export must not hold up the rest of the batch
+      try {
+        if (await this.processExport(_id)) {
+          processed++;
+        }
+      } catch (error) {
+        console.error(`Data export ${_id} failed:`, error.message);
+      }
+    }
+
+    return processed;
+  }
+
+  static getArchiveBucket() {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+      bucketName: DATA_EXPORT_CONSTANTS.ARCHIVE_BUCKET
+    });
+  }
+
+  // Resolves with the id of the stored GridFS file
+  static storeArchive(dataExport, archive, expiresAt) {
+    return new Promise((resolve, reject) => {
+      const upload = this.getArchiveBucket().openUploadStream(`relacio-data-export-${dataExport._id}.json`, {
+        contentType: 'application/json',
+        metadata: {
+          exportId: dataExport._id,
+          userId: dataExport.userId,
+          expiresAt
+        }
+      });
+
+      upload.once('finish', () => resolve(upload.id));
+      upload.once('error', reject);
+      upload.end(archive);
+    });
+  }
+
+  static openArchiveStream(dataExport) {
+    return this.getArchiveBucket().openDownloadStream(dataExport.archiveFileId);
+  }
+
+  // Export documents expire through a TTL index; their archives are removed here
+  static async deleteExpiredArchives() {
+    return this.deleteArchives({ 'metadata.expiresAt': { $lte: new Date() } });
+  }
+
+  static async deleteArchives(filter) {
+    const bucket = this.getArchiveBucket();
+    const files = await bucket.find(filter).project({ _id: 1 }).toArray();
+
+    for (const file of files) {
+      await bucket.delete(file._id);
+    }
+
+    return files.length;
+  }
+
+  static async deleteUserExports(userId) {
+    await this.deleteArchives({ 'metadata.userId': new mongoose.Types.ObjectId(userId.toString()) });
+    await DataExport.deleteMany({ userId });
+  }
+
+  static async buildArchive(userId) {
+    const [user, profile, matches, messages, videoCalls, notifications, subscription] = await Promise.all([
+      User.findById(userId).lean(),
+      Profile.findOne({ userId }).lean(),
+      Match.find({
+        $or: [
+          { user1Id: userId },
+          { user2Id: userId }
+        ]
+      }).sort({ createdAt: 1 }).lean(),
+      Message.find({ senderId: userId }).sort({ createdAt: 1 }).lean(),
+      VideoCall.find({ participants: userId }).sort({ createdAt: 1 }).lean(),
+      Notification.find({ userId }).sort({ createdAt: 1 }).lean(),
+      Subscription.findOne({ userId }).lean()
+    ]);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return {
+      formatVersion: DATA_EXPORT_CONSTANTS.FORMAT_VERSION,
+      generatedAt: new Date(),
+      account: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified,
+        phoneNumber: user.phoneNumber || null,
+        isPhoneVerified: !!user.isPhoneVerified,
+        hasCompletedProfile: user.hasCompletedProfile,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
+        subscription: user.subscription,
+        lastSeen: user.lastSeen,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+      },
+      profile: profile ? {
+        dateOfBirth: profile.dateOfBirth,
+        age: Profile.getAge(profile),
+        gender: profile.gender,
+        location: profile.location,
+        coordinates: profile.geoLocation?.coordinates?.length === 2 ? {
+          latitude: profile.geoLocation.coordinates[1],
+          longitude: profile.geoLocation.coordinates[0],
+          updatedAt: profile.locationUpdatedAt
+        } : null,
+        occupation: profile.occupation,
+        education: profile.education,
+        bio: profile.bio,
+        interests: profile.interests,
+        lifestyle: profile.lifestyle,
+        lifestyleVisibility: profile.lifestyleVisibility,
+        prompts: (profile.prompts || []).map(({ promptId, answer, order }) => ({ promptId, answer, order })),
+        photos: profile.photos.map(photo => ({
+          url: photo.url,
+          isMain: photo.isMain,
+          caption: photo.caption,
+          uploadedAt: photo.uploadedAt
+        })),
+        isPhotoVerified: !!profile.isPhotoVerified,
+        photoVerifiedAt: profile.photoVerifiedAt,
+        preferences: profile.preferences,
+        isIncognito: !!profile.isIncognito,
+        isPaused: !!profile.isPaused,
+        profileViews: profile.profileViews,
+        likesReceived: profile.likesReceived,
+        createdAt: profile.createdAt,
+        updatedAt: profile.updatedAt
+      } : null,
+      swipes: matches
+        .map(match => this.formatSwipe(match, userId))
+        .filter(Boolean),
+      messages: messages.map(message => ({
+        id: message._id,
+        conversationId: message.conversationId,
+        type: message.type,
+        content: message.content,
+        fileName: message.fileName,
+        fileUrl: message.fileUrl,
+        isRead: message.isRead,
+        sentAt: message.createdAt
+      })),
+      videoCalls: videoCalls.map(call => ({
+        id: call._id,
+        participants: call.participants,
+        initiatedByMe: call.initiatorId.toString() === userId.toString(),
+        status: call.status,
+        startTime: call.startTime,
+        endTime: call.endTime,
+        duration: call.duration,
+        createdAt: call.createdAt
+      })),
+      notifications: notifications.map(notification => ({
+        id: notification._id,
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        isRead: notification.isRead,
+        createdAt: notification.createdAt
+      })),
+      subscription: subscription ? {
+        plan: subscription.plan,
+        isActive: subscription.isActive,
+        features: subscription.features,
+        usage: subscription.usage,
+        currentPeriodStart: subscription.currentPeriodStart,
+        currentPeriodEnd: subscription.currentPeriodEnd
+      } : null
+    };
+  }
+
+  // Describes a Match record from the exporting user's side
+  static formatSwipe(match, userId) {
+    const isUser1 = match.user1Id.toString() === userId.toString();
+    const action = isUser1 ? match.user1Action : match.user2Action;
+
+    // The other user swiped, this user has not acted yet
+    if (action === MATCH_CONSTANTS.ACTIONS.PENDING) {
+      return null;
+    }
+
+    return {
+      targetUserId: isUser1 ? match.user2Id : match.user1Id,
+      action,
+      isMatch: match.isMatch,
+      matchedAt: match.matchedAt,
+      createdAt: match.createdAt
+    };
+  }
+
+  // Short-lived signed link, reissued on every status check while the archive is kept
+  static createDownloadUrl(dataExport) {
+    const secondsLeft = Math.floor((dataExport.expiresAt - Date.now()) / 1000);
+    const expiresIn = Math.min(DATA_EXPORT_CONSTANTS.DOWNLOAD_LINK_EXPIRY, secondsLeft);
+
+    const token = jwt.sign(
+      {
+        id: dataExport.userId,
+        exportId: dataExport._id,
+        purpose: 'data_export'
+      },
+      process.env.JWT_SECRET,
+      { expiresIn }
+    );
+
+    return {
+      url: `${process.env.API_URL || ''}/api/auth/export/${dataExport._id}/download?token=${token}`,
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
+    };
+  }
+
+  static verifyDownloadToken(token, exportId) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.purpose !== 'data_export' || decoded.exportId !== exportId.toString()) {
+        return null;
+      }
+      return decoded;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static formatExport(dataExport) {
+    const formatted = {
+      id: dataExport._id,
+      status: dataExport.status,
+      requestedAt: dataExport.createdAt,
+      completedAt: dataExport.completedAt || null,
+      expiresAt: dataExport.status === STATUS.COMPLETED ? dataExport.expiresAt : null,
+      size: dataExport.size || null,
+      download: null
+    };
+
+    if (dataExport.isDownloadable()) {
+      formatted.download = this.createDownloadUrl(dataExport);
+    }
+
+    if (dataExport.status === STATUS.FAILED) {
+      formatted.error = 'Export could not be generated. Please request a new one.';
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = DataExportService;
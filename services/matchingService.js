@@ -1,5 +1,8 @@
+const mongoose = require('mongoose');
 const Profile = require('../models/Profile');
 const Match = require('../models/Match');
+const Block = require('../models/Block');
+const MatchingUtils = require('../utils/matchingUtils');
 const { MATCH_CONSTANTS } = require('../constants');
 
 class MatchingService {
@@ -9,7 +12,7 @@ class MatchingService {
 
     // Age compatibility (20 points)
     maxScore += 20;
-    const ageDiff = Math.abs(user1Profile.age - user2Profile.age);
+    const ageDiff = Math.abs(Profile.getAge(user1Profile) - Profile.getAge(user2Profile));
     if (ageDiff <= 2) score += 20;
     else if (ageDiff <= 5) score += 15;
     else if (ageDiff <= 10) score += 10;
@@ -27,7 +30,13 @@ class MatchingService {
 
     // Location compatibility (15 points)
     maxScore += 15;
-    if (user1Profile.location && user2Profile.location) {
+    const distance = this.calculateDistance(user1Profile, user2Profile);
+    if (distance !== null) {
+      if (distance <= 5) score += 15;
+      else if (distance <= 25) score += 10;
+      else if (distance <= 50) score += 5;
+      else score += 2;
+    } else if (user1Profile.location && user2Profile.location) {
       if (user1Profile.location.toLowerCase() === user2Profile.location.toLowerCase()) {
         score += 15;
       } else {
@@ -56,6 +65,11 @@ class MatchingService {
       }
     }
 
+    // Lifestyle compatibility (15 points)
+    maxScore += 15;
+    const lifestyleScore = MatchingUtils.calculateLifestyleCompatibility(user1Profile, user2Profile);
+    score += Math.round((lifestyleScore / 100) * 15);
+
     // Profile completeness bonus (15 points)
     maxScore += 15;
     const avgProfileScore = (user1Profile.profileScore + user2Profile.profileScore) / 2;
@@ -67,7 +81,7 @@ class MatchingService {
   }
 
   static async getDiscoveryProfiles(userId, preferences, options = {}) {
-    const { limit = 10, excludeIds = [] } = options;
+    const { limit = 10, offset = 0, excludeIds = [] } = options;
 
     try {
       // Get user's own profile to exclude
@@ -84,6 +98,9 @@ class MatchingService {
         ]
       });
 
+      // Blocks keep both users out of each other's feed
+      const blockedUserIds = await Block.getBlockedUserIds(userId);
+
       const swipedUserIds = existingMatches.reduce((acc, match) => {
         if (match.user1Id.toString() === userId.toString()) {
           acc.push(match.user2Id.toString());
@@ -93,30 +110,94 @@ class MatchingService {
         return acc;
       }, []);
 
-      // Build query for potential matches
+      // Build query for potential matches. Ids are cast up front because
+      // aggregation pipelines bypass schema casting.
       const query = {
-        userId: { 
-          $nin: [userId, ...swipedUserIds, ...excludeIds] 
-        }
+        userId: {
+          $nin: [userId, ...swipedUserIds, ...blockedUserIds, ...excludeIds]
+            .map(id => new mongoose.Types.ObjectId(id.toString()))
+        },
+        isVisible: { $ne: false },
+        isPaused: { $ne: true }
       };
 
-      // Apply age preferences
+      const conditions = [];
+
+      // Apply age preferences against today's ages
       if (preferences.ageRange) {
-        query.age = {
-          $gte: preferences.ageRange.min,
-          $lte: preferences.ageRange.max
-        };
+        const { min, max } = preferences.ageRange;
+        conditions.push({
+          $or: [
+            { dateOfBirth: MatchingUtils.getBirthDateRange(min, max) },
+            // Profiles not yet backfilled from a static age
+            { dateOfBirth: { $exists: false }, age: { $gte: min, $lte: max } }
+          ]
+        });
+      }
+
+      // Gender preferences must hold both ways
+      if (preferences.interestedIn && preferences.interestedIn.length > 0) {
+        query.gender = { $in: preferences.interestedIn };
+      }
+
+      const openToUser = [
+        { 'preferences.interestedIn': { $exists: false } },
+        { 'preferences.interestedIn': { $size: 0 } }
+      ];
+      if (userProfile.gender) {
+        openToUser.push({ 'preferences.interestedIn': userProfile.gender });
+      }
+      conditions.push({ $or: openToUser });
+
+      if (preferences.verifiedOnly) {
+        query.isPhotoVerified = true;
       }
 
-      // Get potential matches
-      const potentialMatches = await Profile.find(query)
-        .populate('userId', 'name email lastSeen isOnline')
-        .limit(limit * 3) // Get more to filter and randomize
-        .lean();
+      query.$and = conditions;
+
+      // Get more than needed to filter and randomize
+      const candidateLimit = limit * 3;
+      let potentialMatches;
+
+      if (userProfile.hasCoordinates()) {
+        // Nearest first, limited to the preferred radius
+        const maxDistance = preferences.maxDistance || userProfile.preferences.maxDistance;
+        potentialMatches = await Profile.aggregate([
+          {
+            $geoNear: {
+              near: {
+                type: 'Point',
+                coordinates: [...userProfile.geoLocation.coordinates]
+              },
+              key: 'geoLocation',
+              distanceField: 'distance',
+              distanceMultiplier: 1 / MATCH_CONSTANTS.METERS_PER_MILE,
+              maxDistance: maxDistance * MATCH_CONSTANTS.METERS_PER_MILE,
+              spherical: true,
+              query
+            }
+          },
+          { $skip: offset },
+          { $limit: candidateLimit }
+        ]);
+        await Profile.populate(potentialMatches, [
+          { path: 'userId', select: 'name email lastSeen isOnline' },
+          { path: 'prompts.promptId', select: 'text' }
+        ]);
+      } else {
+        // Without coordinates of our own there is nothing to measure from
+        potentialMatches = await Profile.find(query)
+          .populate('userId', 'name email lastSeen isOnline')
+          .populate('prompts.promptId', 'text')
+          .skip(offset)
+          .limit(candidateLimit)
+          .lean();
+      }
 
-      // Calculate compatibility scores and sort
+      // Calculate compatibility scores on the full profiles, then reduce
+      // them to what other users may see
       const profilesWithScores = potentialMatches.map(profile => ({
-        ...profile,
+        ...this.formatDiscoveryProfile(profile),
         compatibility: this.calculateCompatibility(userProfile, profile)
       }));
 
@@ -133,7 +214,64 @@ class MatchingService {
     }
   }
 
-  static async processSwipe(userId, targetUserId, action) {
+  // Exact coordinates, hidden lifestyle answers and the birth date stay
+  // private; the rounded distance and derived age are shown instead
+  static formatDiscoveryProfile(profile) {
+    const {
+      geoLocation,
+      lifestyleVisibility,
+      dateOfBirth,
+      dateOfBirthEstimated,
+      distance,
+      ...publicProfile
+    } = profile;
+
+    return {
+      ...publicProfile,
+      age: Profile.getAge(profile),
+      lifestyle: Profile.getVisibleLifestyle(profile),
+      prompts: Profile.formatPrompts(profile),
+      distance: typeof distance === 'number' ? Math.round(distance * 10) / 10 : null
+    };
+  }
+
+  // Whitelisted view of another user's profile, with distance and
+  // compatibility measured from the viewer's profile when there is one
+  static formatPublicProfile(profile, user, viewerProfile = null) {
+    const distance = viewerProfile ? this.calculateDistance(viewerProfile, profile) : null;
+
+    return {
+      userId: user._id,
+      name: user.name,
+      age: Profile.getAge(profile),
+      gender: profile.gender,
+      location: profile.location,
+      occupation: profile.occupation,
+      education: profile.education,
+      bio: profile.bio,
+      interests: profile.interests,
+      photos: profile.photos.map(photo => ({
+        id: photo._id,
+        url: photo.url,
+        caption: photo.caption,
+        isMain: photo.isMain
+      })),
+      prompts: Profile.formatPrompts(profile),
+      lifestyle: Profile.getVisibleLifestyle(profile),
+      lookingFor: profile.preferences?.lookingFor,
+      isPhotoVerified: !!profile.isPhotoVerified,
+      isOnline: user.isOnline,
+      lastSeen: user.lastSeen,
+      distance: distance === null ? null : Math.round(distance * 10) / 10,
+      compatibility: viewerProfile ? this.calculateCompatibility(viewerProfile, profile) : null
+    };
+  }
+
+  // options.promptReaction ({ promptId, question, answer, comment }) records
+  // a like aimed at one of the target's prompt answers
+  static async processSwipe(userId, targetUserId, action, options = {}) {
+    const { promptReaction } = options;
+
     try {
       // Check if match already exists
       const existingMatch = await Match.findExistingMatch(userId, targetUserId);
@@ -154,6 +292,10 @@ class MatchingService {
           }
         }
 
+        if (promptReaction) {
+          existingMatch.promptReactions.push({ fromUserId: userId, ...promptReaction });
+        }
+
         await existingMatch.save();
         return existingMatch;
       } else {
@@ -162,7 +304,8 @@ class MatchingService {
           user1Id: userId,
           user2Id: targetUserId,
           user1Action: action,
-          user2Action: MATCH_CONSTANTS.ACTIONS.PENDING
+          user2Action: MATCH_CONSTANTS.ACTIONS.PENDING,
+          promptReactions: promptReaction ? [{ fromUserId: userId, ...promptReaction }] : []
         });
 
         // Calculate compatibility
@@ -199,13 +342,19 @@ class MatchingService {
     return shuffled;
   }
 
-  static calculateDistance(location1, location2) {
-    // Simple string comparison for now
-    // In production, you would use proper geocoding and distance calculation
-    if (location1.toLowerCase() === location2.toLowerCase()) {
-      return 0;
+  // Distance in miles between two profiles, or null if either lacks coordinates
+  static calculateDistance(profile1, profile2) {
+    const coordinates1 = profile1.geoLocation?.coordinates;
+    const coordinates2 = profile2.geoLocation?.coordinates;
+    if (coordinates1?.length !== 2 || coordinates2?.length !== 2) {
+      return null;
     }
-    return 50; // Default distance
+
+    const kilometers = MatchingUtils.calculateDistance(
+      coordinates1[1], coordinates1[0],
+      coordinates2[1], coordinates2[0]
+    );
+    return (kilometers * 1000) / MATCH_CONSTANTS.METERS_PER_MILE;
   }
 
   static calculateAgeCompatibility(age1, age2) {
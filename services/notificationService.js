@@ -1,5 +1,5 @@
 const Notification = require('../models/Notification');
-const { NOTIFICATION_CONSTANTS, EMAIL_CONSTANTS } = require('../constants');
+const { NOTIFICATION_CONSTANTS, EMAIL_CONSTANTS, USER_CONSTANTS, PROFILE_CONSTANTS } = require('../constants');
 
 class NotificationService {
   static async sendNotification(userId, notificationData, socketIo = null) {
@@ -84,15 +84,16 @@ class NotificationService {
     return this.sendNotification(userId, notificationData, socketIo);
   }
 
+  // Pass viewerId as null to keep the viewer anonymous
   static async sendProfileViewNotification(userId, viewerId, socketIo = null) {
     const notificationData = {
       type: NOTIFICATION_CONSTANTS.TYPES.VIEW,
       title: 'Profile View 👀',
       message: 'Someone viewed your profile.',
-      fromUserId: viewerId,
+      fromUserId: viewerId || undefined,
       data: {
-        viewerId: viewerId,
-        action: 'view_profile'
+        viewerId: viewerId || undefined,
+        action: viewerId ? 'view_profile' : 'view_viewers'
       }
     };
 
@@ -114,6 +115,28 @@ class NotificationService {
     return this.sendNotification(userId, notificationData, socketIo);
   }
 
+  static async sendAccountLockedNotification(user, lockUntil, socketIo = null) {
+    const notificationData = {
+      type: NOTIFICATION_CONSTANTS.TYPES.SECURITY,
+      title: 'Account temporarily locked 🔒',
+      message: 'We blocked sign-in to your account after repeated failed login attempts. If this was not you, reset your password.',
+      data: {
+        lockUntil,
+        action: 'reset_password'
+      }
+    };
+
+    const emailData = {
+      email: user.email,
+      name: user.name,
+      lockUntil,
+      resetUrl: `${process.env.CLIENT_URL || 'http://localhost:3000'}/forgot-password`
+    };
+
+    await this.sendEmail(user._id, EMAIL_CONSTANTS.TEMPLATES.ACCOUNT_LOCKED, emailData);
+    return this.sendNotification(user._id, notificationData, socketIo);
+  }
+
   static async sendPushNotification(userId, message) {
     // Placeholder for push notification implementation
     // In production, you would integrate with services like FCM, APNs, etc.
@@ -145,6 +168,151 @@ class NotificationService {
     }
   }
 
+  static async sendPasswordResetEmail(email, resetToken, name) {
+    try {
+      const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+
+      const emailData = {
+        email,
+        name,
+        resetUrl,
+        expiresInMinutes: USER_CONSTANTS.PASSWORD_RESET_EXPIRY / (60 * 1000)
+      };
+
+      return this.sendEmail(null, EMAIL_CONSTANTS.TEMPLATES.PASSWORD_RESET, emailData);
+    } catch (error) {
+      console.error('Error sending password reset email:', error);
+      return false;
+    }
+  }
+
+  static async sendMagicLinkEmail(email, magicLinkToken, name) {
+    try {
+      const magicLinkUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/magic-link?token=${magicLinkToken}`;
+
+      const emailData = {
+        email,
+        name,
+        magicLinkUrl,
+        expiresIn: USER_CONSTANTS.MAGIC_LINK_EXPIRY
+      };
+
+      return this.sendEmail(null, EMAIL_CONSTANTS.TEMPLATES.MAGIC_LINK, emailData);
+    } catch (error) {
+      console.error('Error sending magic link email:', error);
+      return false;
+    }
+  }
+
+  static async sendPasswordChangedEmail(user) {
+    try {
+      const emailData = {
+        email: user.email,
+        name: user.name,
+        changedAt: new Date(),
+        resetUrl: `${process.env.CLIENT_URL || 'http://localhost:3000'}/forgot-password`
+      };
+
+      return this.sendEmail(user._id, EMAIL_CONSTANTS.TEMPLATES.PASSWORD_CHANGED, emailData);
+    } catch (error) {
+      console.error('Error sending password changed email:', error);
+      return false;
+    }
+  }
+
+  static async sendEmailChangeNotice(user, newEmail) {
+    try {
+      // Sent to the current address so the owner can react if they did not request the change
+      const emailData = {
+        email: user.email,
+        name: user.name,
+        newEmail,
+        requestedAt: new Date(),
+        resetUrl: `${process.env.CLIENT_URL || 'http://localhost:3000'}/forgot-password`
+      };
+
+      return this.sendEmail(user._id, EMAIL_CONSTANTS.TEMPLATES.EMAIL_CHANGE_NOTICE, emailData);
+    } catch (error) {
+      console.error('Error sending email change notice:', error);
+      return false;
+    }
+  }
+
+  static async sendAccountDeletionScheduledEmail(user) {
+    try {
+      const emailData = {
+        email: user.email,
+        name: user.name,
+        deletionScheduledFor: user.deletionScheduledFor,
+        restoreUrl: `${process.env.CLIENT_URL || 'http://localhost:3000'}/login`
+      };
+
+      return this.sendEmail(user._id, EMAIL_CONSTANTS.TEMPLATES.ACCOUNT_DELETION_SCHEDULED, emailData);
+    } catch (error) {
+      console.error('Error sending account deletion email:', error);
+      return false;
+    }
+  }
+
+  static async sendAccountRestoredEmail(user) {
+    try {
+      const emailData = {
+        email: user.email,
+        name: user.name,
+        restoredAt: new Date()
+      };
+
+      return this.sendEmail(user._id, EMAIL_CONSTANTS.TEMPLATES.ACCOUNT_RESTORED, emailData);
+    } catch (error) {
+      console.error('Error sending account restored email:', error);
+      return false;
+    }
+  }
+
+  static async sendDataExportReadyNotification(user, dataExport, download, socketIo = null) {
+    const notificationData = {
+      type: NOTIFICATION_CONSTANTS.TYPES.ACCOUNT,
+      title: 'Your data export is ready 📦',
+      message: 'The copy of your data you requested is ready to download.',
+      data: {
+        exportId: dataExport._id,
+        expiresAt: dataExport.expiresAt,
+        action: 'download_export'
+      }
+    };
+
+    const emailData = {
+      email: user.email,
+      name: user.name,
+      downloadUrl: download.url,
+      linkExpiresAt: download.expiresAt,
+      expiresAt: dataExport.expiresAt
+    };
+
+    await this.sendEmail(user._id, EMAIL_CONSTANTS.TEMPLATES.DATA_EXPORT_READY, emailData);
+    return this.sendNotification(user._id, notificationData, socketIo);
+  }
+
+  static async sendPhotoVerificationResultNotification(verification, socketIo = null) {
+    const approved = verification.status === PROFILE_CONSTANTS.PHOTO_VERIFICATION.STATUS.APPROVED;
+
+    const notificationData = {
+      type: NOTIFICATION_CONSTANTS.TYPES.VERIFICATION,
+      title: approved ? 'You\'re photo verified ✅' : 'Photo verification unsuccessful',
+      message: approved
+        ? 'Your selfie was approved and your profile now shows the verified badge.'
+        : `We couldn't verify your selfie: ${verification.rejectionReason}. You can try again with a new pose.`,
+      data: {
+        verificationId: verification._id,
+        status: verification.status,
+        reason: verification.rejectionReason,
+        action: approved ? 'view_profile' : 'retry_verification'
+      }
+    };
+
+    return this.sendNotification(verification.userId, notificationData, socketIo);
+  }
+
   static async sendEmail(userId, templateType, data) {
     // Placeholder for email service implementation
     // In production, you would integrate with services like SendGrid, Mailgun, etc.
@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const OidcAuthRequest = require('../models/OidcAuthRequest');
+const AuthService = require('./authService');
+const NotificationService = require('./notificationService');
+const { OIDC_CONSTANTS } = require('../constants');
+
+// Issuer discovery documents and JWKS, keyed by URL
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const base64Url = buffer => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+class OidcService {
+  // Providers are configured per environment:
+  //   OIDC_PROVIDERS=google,apple
+  //   OIDC_<NAME>_CLIENT_ID, OIDC_<NAME>_CLIENT_SECRET, OIDC_<NAME>_REDIRECT_URI,
+  //   OIDC_<NAME>_ISSUER (optional for google/apple), OIDC_<NAME>_SCOPES,
+  //   OIDC_<NAME>_RESPONSE_MODE
+  static getEnabledProviders() {
+    return (process.env.OIDC_PROVIDERS || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(name => /^[a-z0-9_]+$/.test(name));
+  }
+
+  static getProviderConfig(name) {
+    if (!this.getEnabledProviders().includes(name)) {
+      return null;
+    }
+
+    const env = key => process.env[`OIDC_${name.toUpperCase()}_${key}`];
+    const issuer = env('ISSUER') || OIDC_CONSTANTS.DEFAULT_ISSUERS[name];
+    const clientId = env('CLIENT_ID');
+    const redirectUri = env('REDIRECT_URI');
+
+    if (!issuer || !clientId || !redirectUri) {
+      return null;
+    }
+
+    return {
+      name,
+      issuer: issuer.replace(/\/+$/, ''),
+      clientId,
+      clientSecret: env('CLIENT_SECRET'),
+      redirectUri,
+      scopes: env('SCOPES') || OIDC_CONSTANTS.DEFAULT_SCOPES,
+      responseMode: env('RESPONSE_MODE')
+    };
+  }
+
+  static listProviders() {
+    return this.getEnabledProviders()
+      .map(name => this.getProviderConfig(name))
+      .filter(Boolean)
+      .map(provider => ({ name: provider.name, issuer: provider.issuer }));
+  }
+
+  static async getMetadata(provider) {
+    const url = `${provider.issuer}/.well-known/openid-configuration`;
+    const cached = metadataCache.get(url);
+    if (cached && Date.now() - cached.fetchedAt < OIDC_CONSTANTS.METADATA_CACHE_TTL) {
+      return cached.metadata;
+    }
+
+    const { data: metadata } = await axios.get(url, { timeout: OIDC_CONSTANTS.HTTP_TIMEOUT });
+
+    if (metadata.issuer.replace(/\/+$/, '') !== provider.issuer) {
+      throw new Error(`Issuer mismatch in discovery document for ${provider.name}`);
+    }
+
+    metadataCache.set(url, { metadata, fetchedAt: Date.now() });
+    return metadata;
+  }
+
+  static async getJwks(jwksUri, forceRefresh = false) {
+    const cached = jwksCache.get(jwksUri);
+    if (!forceRefresh && cached && Date.now() - cached.fetchedAt < OIDC_CONSTANTS.METADATA_CACHE_TTL) {
+      return cached.keys;
+    }
+
+    const { data } = await axios.get(jwksUri, { timeout: OIDC_CONSTANTS.HTTP_TIMEOUT });
+    const keys = Array.isArray(data.keys) ? data.keys : [];
+
+    jwksCache.set(jwksUri, { keys, fetchedAt: Date.now() });
+    return keys;
+  }
+
+  // Finds the issuer key for a token header, refetching once in case the
+  // issuer rotated its keys since they were cached
+  static async getSigningKey(metadata, header) {
+    const findKey = keys => keys.find(key =>
+      (key.use === undefined || key.use === 'sig') &&
+      (header.kid ? key.kid === header.kid : keys.length === 1)
+    );
+
+    let jwk = findKey(await this.getJwks(metadata.jwks_uri));
+    if (!jwk) {
+      jwk = findKey(await this.getJwks(metadata.jwks_uri, true));
+    }
+
+    if (!jwk) {
+      throw new Error('No matching signing key found');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  static generateRandomValue() {
+    return base64Url(crypto.randomBytes(32));
+  }
+
+  static createCodeChallenge(codeVerifier) {
+    return base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+  }
+
+  // Starts an authorization code + PKCE flow and returns the URL to send the user to
+  static async createAuthorizationRequest(provider) {
+    const metadata = await this.getMetadata(provider);
+
+    const state = this.generateRandomValue();
+    const nonce = this.generateRandomValue();
+    const codeVerifier = this.generateRandomValue();
+    const expiresAt = new Date(Date.now() + OIDC_CONSTANTS.AUTH_REQUEST_EXPIRY);
+
+    await OidcAuthRequest.create({
+      stateHash: AuthService.hashToken(state),
+      provider: provider.name,
+      codeVerifier,
+      nonce,
+      redirectUri: provider.redirectUri,
+      expiresAt
+    });
+
+    const authorizationUrl = new URL(metadata.authorization_endpoint);
+    const params = {
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: provider.redirectUri,
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: this.createCodeChallenge(codeVerifier),
+      code_challenge_method: 'S256'
+    };
+    if (provider.responseMode) {
+      params.response_mode = provider.responseMode;
+    }
+    Object.entries(params).forEach(([key, value]) => authorizationUrl.searchParams.set(key, value));
+
+    return {
+      authorizationUrl: authorizationUrl.toString(),
+      state,
+      expiresAt
+    };
+  }
+
+  // Single use: the stored request is removed as it is read
+  static consumeAuthorizationRequest(provider, state) {
+    return OidcAuthRequest.findOneAndDelete({
+      stateHash: AuthService.hashToken(state),
+      provider: provider.name,
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  static async exchangeCode(provider, metadata, code, authRequest) {
+    const form = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: authRequest.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: authRequest.codeVerifier
+    });
+    if (provider.clientSecret) {
+      form.set('client_secret', provider.clientSecret);
+    }
+
+    try {
+      const { data } = await axios.post(metadata.token_endpoint, form.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: OIDC_CONSTANTS.HTTP_TIMEOUT
+      });
+      return data;
+    } catch (error) {
+      throw new Error(`Token exchange failed: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  static async verifyIdToken(provider, metadata, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !OIDC_CONSTANTS.ALLOWED_ALGORITHMS.includes(decoded.header.alg)) {
+      throw new Error('Unsupported ID token');
+    }
+
+    const key = await this.getSigningKey(metadata, decoded.header);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: OIDC_CONSTANTS.ALLOWED_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: provider.clientId,
+      clockTolerance: OIDC_CONSTANTS.CLOCK_TOLERANCE
+    });
+
+    if (!claims.sub || claims.nonce !== nonce) {
+      throw new Error('ID token nonce mismatch');
+    }
+
+    return claims;
+  }
+
+  // Completes the callback leg. Resolves with the verified ID token claims, or
+  // null when the state, code or ID token is not acceptable.
+  static async authenticate(provider, { code, state }) {
+    const authRequest = await this.consumeAuthorizationRequest(provider, state);
+    if (!authRequest) {
+      return null;
+    }
+
+    try {
+      const metadata = await this.getMetadata(provider);
+      const tokens = await this.exchangeCode(provider, metadata, code, authRequest);
+
+      if (!tokens.id_token) {
+        throw new Error('Token response did not include an ID token');
+      }
+
+      return await this.verifyIdToken(provider, metadata, tokens.id_token, authRequest.nonce);
+    } catch (error) {
+      console.error(`OIDC login with ${provider.name} failed:`, error.message);
+      return null;
+    }
+  }
+
+  // Some providers (Apple) send the flag as a string
+  static isEmailVerified(claims) {
+    return claims.email_verified === true || claims.email_verified === 'true';
+  }
+
+  // Resolves the local account for verified claims: an already linked user,
+  // an existing user with the same verified email (linked now), or a new user.
+  // Resolves with { user, created } or { error }.
+  static async findOrCreateUser(provider, claims) {
+    const linkedUser = await User.findOne({
+      oidcIdentities: { $elemMatch: { provider: provider.name, subject: claims.sub } }
+    });
+    if (linkedUser) {
+      return { user: linkedUser, created: false };
+    }
+
+    const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : null;
+    if (!email) {
+      return { error: 'email_required' };
+    }
+
+    // Linking to an existing account is only safe when the provider vouches for the address
+    const emailVerified = this.isEmailVerified(claims);
+    const identity = { provider: provider.name, subject: claims.sub, email };
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      if (!emailVerified) {
+        return { error: 'email_not_verified' };
+      }
+
+      existingUser.oidcIdentities.push(identity);
+      existingUser.isEmailVerified = true;
+      await existingUser.save({ validateBeforeSave: false });
+      return { user: existingUser, created: false };
+    }
+
+    const user = new User({
+      email,
+      name: this.getDisplayName(claims, email),
+      // Social-only accounts get an unusable random password until they set one
+      password: crypto.randomBytes(32).toString('hex'),
+      hasPassword: false,
+      isEmailVerified: emailVerified,
+      oidcIdentities: [identity]
+    });
+
+    const verificationToken = emailVerified ? null : AuthService.setEmailVerificationToken(user);
+    await user.save();
+
+    if (verificationToken) {
+      NotificationService.sendVerificationEmail(user.email, verificationToken, user.name)
+        .catch(error => console.error('Failed to send verification email:', error));
+    }
+
+    return { user, created: true };
+  }
+
+  static getDisplayName(claims, email) {
+    const name = claims.name ||
+      [claims.given_name, claims.family_name].filter(Boolean).join(' ') ||
+      email.split('@')[0];
+    return name.trim().slice(0, 50);
+  }
+}
+
+module.exports = OidcService;
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const SmsService = require('./smsService');
+const { PHONE_VERIFICATION_CONSTANTS } = require('../constants');
+
+const VERIFICATION_FIELDS = [
+  'phoneNumber',
+  'codeHash',
+  'expiresAt',
+  'attempts',
+  'sentAt',
+  'sendCount',
+  'sendWindowStart'
+].map(field => `+phoneVerification.${field}`).join(' ');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PhoneVerificationService {
+  static findUserWithVerification(userId) {
+    return User.findById(userId).select(VERIFICATION_FIELDS);
+  }
+
+  static generateCode() {
+    const max = Math.pow(10, PHONE_VERIFICATION_CONSTANTS.CODE_LENGTH);
+    return crypto.randomInt(0, max).toString().padStart(PHONE_VERIFICATION_CONSTANTS.CODE_LENGTH, '0');
+  }
+
+  // Keyed hash so a leaked hash cannot be brute-forced over the small code space
+  static hashCode(userId, code) {
+    return crypto
+      .createHmac('sha256', process.env.JWT_SECRET)
+      .update(`${userId}:${code}`)
+      .digest('hex');
+  }
+
+  // Issues a new code for the given (normalized) number. Resolves with
+  // { expiresAt } on success or { error, retryAfter? } when refused.
+  static async sendCode(userId, phoneNumber) {
+    const user = await this.findUserWithVerification(userId);
+
+    if (user.isPhoneVerified && user.phoneNumber === phoneNumber) {
+      return { error: 'already_verified' };
+    }
+
+    const taken = await User.exists({ phoneNumber, _id: { $ne: user._id } });
+    if (taken) {
+      return { error: 'phone_taken' };
+    }
+
+    const pending = user.phoneVerification || {};
+    const now = Date.now();
+
+    if (pending.sentAt && now - pending.sentAt.getTime() < PHONE_VERIFICATION_CONSTANTS.RESEND_COOLDOWN) {
+      return {
+        error: 'cooldown',
+        retryAfter: Math.ceil((pending.sentAt.getTime() + PHONE_VERIFICATION_CONSTANTS.RESEND_COOLDOWN - now) / 1000)
+      };
+    }
+
+    const windowActive = pending.sendWindowStart && now - pending.sendWindowStart.getTime() < DAY_MS;
+    const sendCount = windowActive ? pending.sendCount || 0 : 0;
+
+    if (sendCount >= PHONE_VERIFICATION_CONSTANTS.MAX_CODES_PER_DAY) {
+      return {
+        error: 'daily_limit',
+        retryAfter: Math.ceil((pending.sendWindowStart.getTime() + DAY_MS - now) / 1000)
+      };
+    }
+
+    const code = this.generateCode();
+    const expiresAt = new Date(now + PHONE_VERIFICATION_CONSTANTS.CODE_EXPIRY);
+
+    user.phoneVerification = {
+      phoneNumber,
+      codeHash: this.hashCode(user._id, code),
+      expiresAt,
+      attempts: 0,
+      sentAt: new Date(now),
+      sendCount: sendCount + 1,
+      sendWindowStart: windowActive ? pending.sendWindowStart : new Date(now)
+    };
+    await user.save({ validateBeforeSave: false });
+
+    const minutes = PHONE_VERIFICATION_CONSTANTS.CODE_EXPIRY / (60 * 1000);
+    await SmsService.sendSms(
+      phoneNumber,
+      `Your Relacio verification code is ${code}. It expires in ${minutes} minutes.`
+    );
+
+    return { expiresAt };
+  }
+
+  // Checks a code against the pending verification. Resolves with
+  // { phoneNumber } on success or { error, attemptsRemaining? } on failure.
+  static async verifyCode(userId, code) {
+    const user = await this.findUserWithVerification(userId);
+    const pending = user.phoneVerification || {};
+
+    if (!pending.codeHash || !pending.expiresAt || pending.expiresAt <= new Date()) {
+      return { error: 'no_pending_code' };
+    }
+
+    // Count the attempt atomically so parallel guesses cannot exceed the limit
+    const counted = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        'phoneVerification.codeHash': pending.codeHash,
+        'phoneVerification.attempts': { $lt: PHONE_VERIFICATION_CONSTANTS.MAX_ATTEMPTS }
+      },
+      { $inc: { 'phoneVerification.attempts': 1 } },
+      { new: true }
+    ).select('+phoneVerification.attempts');
+
+    if (!counted) {
+      return { error: 'too_many_attempts' };
+    }
+
+    const expected = Buffer.from(pending.codeHash, 'hex');
+    const actual = Buffer.from(this.hashCode(user._id, code), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return {
+        error: 'invalid_code',
+        attemptsRemaining: PHONE_VERIFICATION_CONSTANTS.MAX_ATTEMPTS - counted.phoneVerification.attempts
+      };
+    }
+
+    try {
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            phoneNumber: pending.phoneNumber,
+            isPhoneVerified: true,
+            phoneVerifiedAt: new Date()
+          },
+          // Keep the send counters so the daily limit still applies
+          $unset: {
+            'phoneVerification.phoneNumber': 1,
+            'phoneVerification.codeHash': 1,
+            'phoneVerification.expiresAt': 1,
+            'phoneVerification.attempts': 1
+          }
+        }
+      );
+    } catch (error) {
+      // Another account verified the same number first
+      if (error.code === 11000) {
+        return { error: 'phone_taken' };
+      }
+      throw error;
+    }
+
+    await Profile.updateOne({ userId: user._id }, { isPhoneVerified: true });
+
+    return { phoneNumber: pending.phoneNumber };
+  }
+
+  static async removePhoneNumber(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { isPhoneVerified: false },
+        $unset: {
+          phoneNumber: 1,
+          phoneVerifiedAt: 1,
+          'phoneVerification.phoneNumber': 1,
+          'phoneVerification.codeHash': 1,
+          'phoneVerification.expiresAt': 1,
+          'phoneVerification.attempts': 1
+        }
+      }
+    );
+
+    await Profile.updateOne({ userId }, { isPhoneVerified: false });
+  }
+
+  // Hides all but the last digits, e.g. for status responses
+  static maskPhoneNumber(phoneNumber) {
+    if (!phoneNumber) {
+      return null;
+    }
+    return `${phoneNumber.slice(0, 2)}${'*'.repeat(Math.max(phoneNumber.length - 4, 0))}${phoneNumber.slice(-2)}`;
+  }
+}
+
+module.exports = PhoneVerificationService;
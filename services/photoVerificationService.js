@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const PhotoVerification = require('../models/PhotoVerification');
+const Profile = require('../models/Profile');
+const CloudinaryService = require('./cloudinaryService');
+const NotificationService = require('./notificationService');
+const { PROFILE_CONSTANTS, CLOUDINARY_CONSTANTS } = require('../constants');
+
+const { STATUS, POSES, POSE_EXPIRY } = PROFILE_CONSTANTS.PHOTO_VERIFICATION;
+
+class PhotoVerificationService {
+  static getLatestVerification(userId) {
+    return PhotoVerification.findOne({ userId }).sort({ createdAt: -1 });
+  }
+
+  static pickPose() {
+    const poses = Object.keys(POSES);
+    return poses[crypto.randomInt(poses.length)];
+  }
+
+  // Hands out a random pose for the selfie. Asking again replaces a pose
+  // that has not been answered yet. Resolves with { verification } or { error }.
+  static async assignPose(userId) {
+    const profile = await Profile.findOne({ userId }).select('photos isPhotoVerified');
+
+    if (!profile) {
+      return { error: 'profile_not_found' };
+    }
+    if (profile.isPhotoVerified) {
+      return { error: 'already_verified' };
+    }
+    // The selfie is compared against the profile photos
+    if (profile.photos.length === 0) {
+      return { error: 'no_photos' };
+    }
+    if (await PhotoVerification.exists({ userId, status: STATUS.PENDING })) {
+      return { error: 'review_pending' };
+    }
+
+    const verification = await PhotoVerification.findOneAndUpdate(
+      { userId, status: STATUS.ASSIGNED },
+      {
+        pose: this.pickPose(),
+        poseExpiresAt: new Date(Date.now() + POSE_EXPIRY)
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+
+    return { verification };
+  }
+
+  // Attaches the selfie to the assigned pose and queues it for review.
+  // Resolves with { verification } or { error }.
+  static async submitSelfie(userId, fileBuffer) {
+    const verification = await PhotoVerification.findOne({ userId, status: STATUS.ASSIGNED });
+
+    if (!verification || !verification.isAwaitingSelfie()) {
+      return { error: 'no_pose_assigned' };
+    }
+
+    const uploadResult = await CloudinaryService.uploadImage(
+      fileBuffer,
+      CLOUDINARY_CONSTANTS.FOLDERS.VERIFICATIONS,
+      `${userId}_${Date.now()}`
+    );
+
+    verification.set({
+      status: STATUS.PENDING,
+      selfieUrl: uploadResult.secure_url,
+      selfiePublicId: uploadResult.public_id,
+      submittedAt: new Date()
+    });
+    await verification.save();
+
+    return { verification };
+  }
+
+  // Oldest submissions first, each with the profile photos to compare against
+  static async getReviewQueue({ limit = 20, skip = 0 } = {}) {
+    const query = { status: STATUS.PENDING };
+
+    const [verifications, total] = await Promise.all([
+      PhotoVerification.find(query)
+        .populate('userId', 'name email')
+        .sort({ submittedAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      PhotoVerification.countDocuments(query)
+    ]);
+
+    const profiles = await Profile.find({
+      userId: { $in: verifications.map(verification => verification.userId?._id).filter(Boolean) }
+    }).select('userId photos');
+    const photosByUser = new Map(profiles.map(profile => [profile.userId.toString(), profile.photos]));
+
+    return {
+      verifications: verifications.map(verification => ({
+        ...this.formatVerification(verification),
+        user: verification.userId,
+        selfieUrl: verification.selfieUrl,
+        profilePhotos: photosByUser.get(verification.userId?._id.toString()) || []
+      })),
+      total
+    };
+  }
+
+  // Records a moderator decision, made directly or through an API key, and
+  // tells the user. Resolves with { verification } or { error }.
+  static async reviewVerification(verificationId, { approved, reason, reviewerId, apiKey, io } = {}) {
+    const existing = await PhotoVerification.findById(verificationId).select('userId');
+    if (!existing) {
+      return { error: 'not_found' };
+    }
+
+    // A key acts for the staff member who created it
+    const actingUserId = reviewerId || apiKey?.createdBy?._id;
+    if (!actingUserId) {
+      return { error: 'no_reviewer' };
+    }
+    if (existing.userId.equals(actingUserId)) {
+      return { error: 'own_verification' };
+    }
+
+    const update = {
+      status: approved ? STATUS.APPROVED : STATUS.REJECTED,
+      reviewedBy: reviewerId,
+      reviewedByApiKey: apiKey?._id,
+      reviewedAt: new Date()
+    };
+    if (!approved) {
+      update.rejectionReason = reason;
+    }
+
+    // Guarded on the status so two moderators cannot both decide
+    const verification = await PhotoVerification.findOneAndUpdate(
+      { _id: verificationId, status: STATUS.PENDING },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!verification) {
+      return { error: 'already_reviewed' };
+    }
+
+    if (approved) {
+      await Profile.updateOne(
+        { userId: verification.userId },
+        { isPhotoVerified: true, photoVerifiedAt: verification.reviewedAt }
+      );
+    } else {
+      await this.deleteSelfie(verification);
+    }
+
+    NotificationService.sendPhotoVerificationResultNotification(verification, io)
+      .catch(error => console.error('Failed to send photo verification notification:', error));
+
+    return { verification };
+  }
+
+  // Rejected selfies are not kept. The reference is only dropped once the
+  // image is gone, so a failed delete is retried when the account is purged.
+  static async deleteSelfie(verification) {
+    if (!verification.selfiePublicId) {
+      return;
+    }
+
+    try {
+      await CloudinaryService.deleteImage(verification.selfiePublicId);
+      verification.selfieUrl = undefined;
+      verification.selfiePublicId = undefined;
+      await verification.save();
+    } catch (error) {
+      console.error(`Failed to delete verification selfie ${verification._id}:`, error.message);
+    }
+  }
+
+  // Removes every attempt and its selfie, e.g. when an account is purged
+  static async deleteUserVerifications(userId) {
+    const publicIds = await PhotoVerification.find({
+      userId,
+      selfiePublicId: { $exists: true }
+    }).distinct('selfiePublicId');
+
+    if (publicIds.length > 0) {
+      try {
+        await CloudinaryService.deleteMultipleImages(publicIds);
+      } catch (error) {
+        console.error(`Failed to delete verification selfies for user ${userId}:`, error.message);
+      }
+    }
+
+    await PhotoVerification.deleteMany({ userId });
+  }
+
+  static formatVerification(verification) {
+    if (!verification) {
+      return null;
+    }
+
+    return {
+      id: verification._id,
+      status: verification.status,
+      pose: verification.pose,
+      instructions: POSES[verification.pose],
+      poseExpiresAt: verification.status === STATUS.ASSIGNED ? verification.poseExpiresAt : undefined,
+      submittedAt: verification.submittedAt,
+      reviewedAt: verification.reviewedAt,
+      rejectionReason: verification.rejectionReason
+    };
+  }
+}
+
+module.exports = PhotoVerificationService;
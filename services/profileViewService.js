@@ -0,0 +1,116 @@
+const ProfileView = require('../models/ProfileView');
+const Profile = require('../models/Profile');
+const User = require('../models/User');
+const Block = require('../models/Block');
+const NotificationService = require('./notificationService');
+
+class ProfileViewService {
+  // Records that one user opened another's profile, at most once per viewer
+  // per day. Incognito viewers leave no trace. Resolves with true when a new
+  // view was counted.
+  static async recordView(viewerId, vieweeId, { io } = {}) {
+    if (viewerId.toString() === vieweeId.toString()) {
+      return false;
+    }
+
+    const viewerProfile = await Profile.findOne({ userId: viewerId }).select('isIncognito');
+    if (viewerProfile?.isIncognito) {
+      return false;
+    }
+
+    let result;
+    try {
+      result = await ProfileView.updateOne(
+        { viewerId, vieweeId, day: ProfileView.getDay() },
+        { $setOnInsert: { viewedAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // A concurrent request recorded the same view first
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+
+    if (result.upsertedCount !== 1) {
+      return false;
+    }
+
+    await Profile.updateOne({ userId: vieweeId }, { $inc: { profileViews: 1 } });
+
+    // Only premium members learn who the viewer was
+    const viewee = await User.findById(vieweeId).select('subscription');
+    NotificationService.sendProfileViewNotification(
+      vieweeId,
+      viewee?.hasPremiumPlan() ? viewerId : null,
+      io
+    ).catch(error => console.error('Failed to send profile view notification:', error));
+
+    return true;
+  }
+
+  // Most recent views first. Without revealIdentities only the times are
+  // returned, so free plans can see that they were viewed but not by whom.
+  // Views by blocked users are left out either way.
+  static async getViewers(vieweeId, { limit = 20, skip = 0, revealIdentities = false } = {}) {
+    const blockedUserIds = await Block.getBlockedUserIds(vieweeId);
+    const query = { vieweeId, viewerId: { $nin: blockedUserIds } };
+
+    const [views, total] = await Promise.all([
+      ProfileView.find(query)
+        .sort({ viewedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      ProfileView.countDocuments(query)
+    ]);
+
+    if (!revealIdentities) {
+      return {
+        viewers: views.map(view => ({ viewedAt: view.viewedAt })),
+        total
+      };
+    }
+
+    const viewerIds = [...new Set(views.map(view => view.viewerId.toString()))];
+    const [users, profiles] = await Promise.all([
+      User.find({ _id: { $in: viewerIds } }).select('name'),
+      Profile.find({ userId: { $in: viewerIds } }).select('userId photos dateOfBirth age')
+    ]);
+
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    const profilesByUser = new Map(profiles.map(profile => [profile.userId.toString(), profile]));
+
+    return {
+      viewers: views
+        // Skip viewers whose accounts have since been removed
+        .filter(view => usersById.has(view.viewerId.toString()))
+        .map(view => {
+          const user = usersById.get(view.viewerId.toString());
+          const profile = profilesByUser.get(view.viewerId.toString());
+          return {
+            viewer: {
+              id: user._id,
+              name: user.name,
+              age: profile ? Profile.getAge(profile) : null,
+              mainPhoto: profile?.getMainPhoto()?.url || null
+            },
+            viewedAt: view.viewedAt
+          };
+        }),
+      total
+    };
+  }
+
+  static deleteUserViews(userId) {
+    return ProfileView.deleteMany({
+      $or: [
+        { viewerId: userId },
+        { vieweeId: userId }
+      ]
+    });
+  }
+}
+
+module.exports = ProfileViewService;
@@ -0,0 +1,145 @@
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const { USER_CONSTANTS, SOCKET_EVENTS } = require('../constants');
+
+class SessionService {
+  static async createSession(userId, context = {}) {
+    return Session.create({
+      userId,
+      deviceName: context.deviceName || this.describeUserAgent(context.userAgent),
+      ipAddress: context.ip,
+      userAgent: context.userAgent,
+      loginMethod: context.loginMethod || 'password',
+      expiresAt: new Date(Date.now() + USER_CONSTANTS.REFRESH_TOKEN_EXPIRY)
+    });
+  }
+
+  // Records activity without writing on every request
+  static async touchSession(session, context = {}) {
+    const lastActive = session.lastActiveAt ? session.lastActiveAt.getTime() : 0;
+    if (Date.now() - lastActive < USER_CONSTANTS.SESSION_ACTIVITY_INTERVAL) {
+      return session;
+    }
+
+    const update = { lastActiveAt: new Date() };
+    if (context.ip) {
+      update.ipAddress = context.ip;
+    }
+
+    await Session.updateOne({ _id: session._id }, update);
+    return session;
+  }
+
+  // Slides the session expiry forward when its refresh token is rotated
+  static async extendSession(sessionId, context = {}) {
+    const update = {
+      lastActiveAt: new Date(),
+      expiresAt: new Date(Date.now() + USER_CONSTANTS.REFRESH_TOKEN_EXPIRY)
+    };
+    if (context.ip) {
+      update.ipAddress = context.ip;
+    }
+
+    return Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null },
+      update,
+      { new: true }
+    );
+  }
+
+  static async revokeSession(sessionId, options = {}) {
+    const { reason = 'logout', io = null } = options;
+
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason },
+      { new: true }
+    );
+
+    await RefreshToken.revokeForSession(sessionId);
+
+    if (io) {
+      this.disconnectSessionSockets(io, sessionId, reason);
+    }
+
+    return session;
+  }
+
+  static async revokeUserSessions(userId, options = {}) {
+    const { exceptSessionId = null, reason = 'logout_all', io = null } = options;
+
+    const query = { userId, revokedAt: null };
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    const sessions = await Session.find(query).select('_id');
+    await Promise.all(
+      sessions.map(session => this.revokeSession(session._id, { reason, io }))
+    );
+
+    return sessions.length;
+  }
+
+  static disconnectSessionSockets(io, sessionId, reason) {
+    const room = `session_${sessionId}`;
+
+    io.to(room).emit(SOCKET_EVENTS.SESSION_REVOKED, {
+      sessionId,
+      reason,
+      timestamp: new Date()
+    });
+    io.in(room).disconnectSockets();
+  }
+
+  static disconnectUserSockets(io, userId, reason) {
+    const room = `user_${userId}`;
+
+    io.to(room).emit(SOCKET_EVENTS.FORCE_DISCONNECT, {
+      reason,
+      timestamp: new Date()
+    });
+    io.in(room).disconnectSockets();
+  }
+
+  static describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const platforms = [
+      ['iPhone', /iPhone/i],
+      ['iPad', /iPad/i],
+      ['Android', /Android/i],
+      ['Windows', /Windows/i],
+      ['Mac', /Macintosh|Mac OS X/i],
+      ['Linux', /Linux/i]
+    ];
+    const browsers = [
+      ['Edge', /Edg\//i],
+      ['Chrome', /Chrome\//i],
+      ['Firefox', /Firefox\//i],
+      ['Safari', /Safari\//i]
+    ];
+
+    const platform = platforms.find(([, pattern]) => pattern.test(userAgent));
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+
+    if (browser && platform) return `${browser[0]} on ${platform[0]}`;
+    if (browser || platform) return (browser || platform)[0];
+    return 'Unknown device';
+  }
+
+  static formatSession(session, currentSessionId = null) {
+    return {
+      id: session._id,
+      deviceName: session.deviceName,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      loginMethod: session.loginMethod,
+      lastActiveAt: session.lastActiveAt,
+      createdAt: session.createdAt,
+      isCurrent: currentSessionId ? session._id.toString() === currentSessionId.toString() : false
+    };
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+// Development driver: logs messages and keeps them in memory so local
+// environments and tests can read the codes that were "sent"
+class ConsoleSmsProvider {
+  constructor() {
+    this.sentMessages = [];
+  }
+
+  async send({ to, body }) {
+    const message = {
+      id: crypto.randomBytes(8).toString('hex'),
+      to,
+      body,
+      sentAt: new Date()
+    };
+
+    this.sentMessages.push(message);
+    console.log(`SMS to ${to}: ${body}`);
+
+    return { id: message.id };
+  }
+
+  getLastMessage(to) {
+    const messages = to
+      ? this.sentMessages.filter(message => message.to === to)
+      : this.sentMessages;
+    return messages[messages.length - 1] || null;
+  }
+
+  clear() {
+    this.sentMessages = [];
+  }
+}
+
+// Providers are factories returning an object with send({ to, body }) that
+// resolves with { id }. Register real gateways (Twilio, SNS, ...) here.
+const providerFactories = {
+  console: () => new ConsoleSmsProvider()
+};
+
+let activeProvider = null;
+
+class SmsService {
+  static registerProvider(name, factory) {
+    providerFactories[name] = factory;
+  }
+
+  static getProvider() {
+    if (!activeProvider) {
+      const name = process.env.SMS_PROVIDER || 'console';
+      const factory = providerFactories[name];
+      if (!factory) {
+        throw new Error(`Unknown SMS provider: ${name}`);
+      }
+      activeProvider = factory();
+    }
+    return activeProvider;
+  }
+
+  // Replaces the active provider, e.g. with a fresh in-memory driver in tests
+  static setProvider(provider) {
+    activeProvider = provider;
+  }
+
+  static async sendSms(to, body) {
+    try {
+      return await this.getProvider().send({ to, body });
+    } catch (error) {
+      throw new Error(`SMS delivery failed: ${error.message}`);
+    }
+  }
+}
+
+SmsService.ConsoleSmsProvider = ConsoleSmsProvider;
+
+module.exports = SmsService;
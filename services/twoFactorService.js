@@ -0,0 +1,171 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const AuthService = require('./authService');
+const TotpUtils = require('../utils/totpUtils');
+const { TWO_FACTOR_CONSTANTS } = require('../constants');
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+class TwoFactorService {
+  static async findUserWithSecrets(userId) {
+    return User.findById(userId).select(SECRET_FIELDS);
+  }
+
+  // A per-account setting made by an admin wins. Otherwise 2FA is mandatory
+  // for privileged roles when REQUIRE_ADMIN_2FA is enabled.
+  static isRequiredFor(user) {
+    if (typeof user.twoFactor?.required === 'boolean') {
+      return user.twoFactor.required;
+    }
+
+    return process.env.REQUIRE_ADMIN_2FA === 'true' &&
+      TWO_FACTOR_CONSTANTS.MANDATORY_ROLES.includes(user.role);
+  }
+
+  static isSetupRequired(user) {
+    return this.isRequiredFor(user) && !user.twoFactor?.enabled;
+  }
+
+  static async beginEnrollment(user) {
+    const secret = TotpUtils.generateSecret();
+
+    await User.updateOne(
+      { _id: user._id },
+      { 'twoFactor.pendingSecret': TotpUtils.encryptSecret(secret) }
+    );
+
+    return {
+      secret,
+      otpauthUrl: TotpUtils.buildOtpAuthUrl(secret, user.email)
+    };
+  }
+
+  // Activates the pending secret once the user proves their app produces
+  // valid codes. Returns the plain recovery codes, or null if the code is wrong.
+  static async confirmEnrollment(userId, code) {
+    const user = await this.findUserWithSecrets(userId);
+    if (!user || !user.twoFactor.pendingSecret) {
+      return null;
+    }
+
+    const secret = TotpUtils.decryptSecret(user.twoFactor.pendingSecret);
+    const step = TotpUtils.verifyCode(secret, code);
+    if (step === null) {
+      return null;
+    }
+
+    const recoveryCodes = TotpUtils.generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode));
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    return recoveryCodes;
+  }
+
+  static async disable(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1
+        }
+      }
+    );
+  }
+
+  static async regenerateRecoveryCodes(userId) {
+    const recoveryCodes = TotpUtils.generateRecoveryCodes();
+
+    await User.updateOne(
+      { _id: userId },
+      { 'twoFactor.recoveryCodes': recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode)) }
+    );
+
+    return recoveryCodes;
+  }
+
+  // Checks a TOTP code or a one-time recovery code for a user with 2FA
+  // enabled. Recovery codes are consumed on use.
+  static async verify(userId, { code, recoveryCode } = {}) {
+    const user = await this.findUserWithSecrets(userId);
+    if (!user || !user.twoFactor.enabled || !user.twoFactor.secret) {
+      return false;
+    }
+
+    if (code) {
+      const secret = TotpUtils.decryptSecret(user.twoFactor.secret);
+      const step = TotpUtils.verifyCode(secret, code, user.twoFactor.lastUsedStep);
+      if (step === null) {
+        return false;
+      }
+
+      // Only advance if no concurrent request already used this step
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $exists: false } },
+            { 'twoFactor.lastUsedStep': { $lt: step } }
+          ]
+        },
+        { 'twoFactor.lastUsedStep': step }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    if (recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    return false;
+  }
+
+  static async countRecoveryCodes(userId) {
+    const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+    return user?.twoFactor?.recoveryCodes?.length || 0;
+  }
+
+  static hashRecoveryCode(recoveryCode) {
+    return AuthService.hashToken(TotpUtils.normalizeRecoveryCode(recoveryCode));
+  }
+
+  // Short-lived token proving the password step of a login succeeded
+  static createChallengeToken(user, loginMethod = 'password') {
+    return jwt.sign(
+      {
+        id: user._id,
+        purpose: '2fa_challenge',
+        tv: user.tokenVersion || 0,
+        method: loginMethod
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: TWO_FACTOR_CONSTANTS.CHALLENGE_TOKEN_EXPIRY }
+    );
+  }
+
+  static verifyChallengeToken(challengeToken) {
+    try {
+      const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+      return decoded.purpose === '2fa_challenge' ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = TwoFactorService;
@@ -1,5 +1,6 @@
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
+const Block = require('../models/Block');
 const { SOCKET_EVENTS } = require('../constants');
 
 module.exports = (socket, io) => {
@@ -60,6 +61,16 @@ module.exports = (socket, io) => {
         return;
       }
 
+      const otherParticipantId = conversation.participants.find(
+        id => id.toString() !== socket.userId
+      );
+
+      // No new messages between users who have blocked each other
+      if (await Block.isBlockedBetween(socket.userId, otherParticipantId)) {
+        socket.emit('error', { message: 'You cannot message this user' });
+        return;
+      }
+
       // Create message
       const messageData = {
         conversationId,
@@ -104,10 +115,6 @@ module.exports = (socket, io) => {
       });
 
       // Send notification to offline participants
-      const otherParticipantId = conversation.participants.find(
-        id => id.toString() !== socket.userId
-      );
-
       if (otherParticipantId) {
         // Check if the other participant is online
         const otherParticipantSockets = await io.in(`user_${otherParticipantId}`).fetchSockets();
@@ -6,6 +6,7 @@ const { SOCKET_EVENTS } = require('../constants');
 const chatHandler = require('./chat');
 const videocallHandler = require('./videocall');
 const notificationHandler = require('./notifications');
+const { sessionHandler, startSocketRevalidation } = require('./session');
 
 module.exports = (io) => {
   // Authentication middleware for socket connections
@@ -17,8 +18,9 @@ module.exports = (io) => {
         return next(new Error('Authentication token required'));
       }
 
-      const decoded = AuthService.verifyToken(token);
-      const user = await User.findById(decoded.id);
+      const { decoded, user } = await AuthService.resolveAccessToken(token, {
+        ip: socket.handshake.address
+      });
       
       if (!user) {
         return next(new Error('User not found'));
@@ -26,6 +28,8 @@ module.exports = (io) => {
 
       socket.userId = user._id.toString();
       socket.user = user;
+      socket.tokenPayload = decoded;
+      socket.sessionId = decoded.sid;
       next();
     } catch (error) {
       next(new Error('Authentication failed'));
@@ -45,6 +49,9 @@ module.exports = (io) => {
       // Join user to their personal room for notifications
       socket.join(`user_${socket.userId}`);
 
+      // Join session room so revoking the session can disconnect this socket
+      socket.join(`session_${socket.sessionId}`);
+
       // Broadcast online status to friends/matches
       socket.broadcast.emit(SOCKET_EVENTS.USER_ONLINE, {
         userId: socket.userId,
@@ -55,6 +62,7 @@ module.exports = (io) => {
     }
 
     // Register event handlers
+    sessionHandler(socket, io);
     chatHandler(socket, io);
     videocallHandler(socket, io);
     notificationHandler(socket, io);
@@ -111,5 +119,8 @@ module.exports = (io) => {
     });
   });
 
+  // Catch revocations and suspensions that did not disconnect sockets directly
+  startSocketRevalidation(io);
+
   return io;
 };
@@ -1,5 +1,6 @@
 const Notification = require('../models/Notification');
-const { SOCKET_EVENTS } = require('../constants');
+const TwoFactorService = require('../services/twoFactorService');
+const { SOCKET_EVENTS, PERMISSIONS } = require('../constants');
 
 module.exports = (socket, io) => {
 
@@ -8,8 +9,10 @@ module.exports = (socket, io) => {
     try {
       const { recipientId, type, title, message, fromUserId } = data;
       
-      // Only allow sending notifications if user is admin or sending to themselves
-      if (socket.user.role !== 'admin' && recipientId !== socket.userId) {
+      // Only allow sending notifications to other users with the send permission
+      if (recipientId !== socket.userId &&
+          (!socket.user.hasPermission(PERMISSIONS.NOTIFICATIONS_SEND) ||
+            TwoFactorService.isSetupRequired(socket.user))) {
         socket.emit('error', { message: 'Unauthorized to send notifications to other users' });
         return;
       }
@@ -191,11 +194,12 @@ module.exports = (socket, io) => {
     }
   });
 
-  // Broadcast notification to all users of a specific type (admin only)
+  // Broadcast notification to all users of a specific type (staff with broadcast permission)
   socket.on('broadcast_notification', async (data) => {
     try {
-      if (socket.user.role !== 'admin') {
-        socket.emit('error', { message: 'Admin access required' });
+      if (!socket.user.hasPermission(PERMISSIONS.NOTIFICATIONS_BROADCAST) ||
+          TwoFactorService.isSetupRequired(socket.user)) {
+        socket.emit('error', { message: 'Permission required to broadcast notifications' });
         return;
       }
 
@@ -0,0 +1,158 @@
+const AuthService = require('../services/authService');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
+const { SOCKET_EVENTS, SOCKET_AUTH_CONSTANTS } = require('../constants');
+
+const { DISCONNECT_REASONS } = SOCKET_AUTH_CONSTANTS;
+
+// Ends a connection from the server side, telling the client why first
+const forceDisconnect = (socket, reason) => {
+  socket.emit(SOCKET_EVENTS.FORCE_DISCONNECT, {
+    reason,
+    timestamp: new Date()
+  });
+  socket.disconnect(true);
+};
+
+// Warns the client shortly before its access token expires and drops the
+// connection once it has, unless it reauthenticates in the meantime
+const scheduleTokenExpiry = (socket) => {
+  clearTokenExpiry(socket);
+
+  const expiresAt = socket.tokenPayload.exp * 1000;
+  const remaining = expiresAt - Date.now();
+
+  socket.expiryWarningTimer = setTimeout(() => {
+    socket.emit(SOCKET_EVENTS.TOKEN_EXPIRING, {
+      expiresAt: new Date(expiresAt),
+      timestamp: new Date()
+    });
+  }, Math.max(remaining - SOCKET_AUTH_CONSTANTS.EXPIRY_WARNING, 0));
+
+  socket.expiryTimer = setTimeout(() => {
+    forceDisconnect(socket, DISCONNECT_REASONS.TOKEN_EXPIRED);
+  }, Math.max(remaining, 0));
+};
+
+const clearTokenExpiry = (socket) => {
+  clearTimeout(socket.expiryWarningTimer);
+  clearTimeout(socket.expiryTimer);
+};
+
+// Same checks as AuthService.resolveAccessToken, against preloaded records
+const getRevocationReason = (socket, { user, session, isRevoked }) => {
+  if (!user || user.isPendingDeletion()) {
+    return DISCONNECT_REASONS.ACCOUNT_DELETED;
+  }
+  if (user.isSuspended()) {
+    return DISCONNECT_REASONS.ACCOUNT_SUSPENDED;
+  }
+  if (!session || !session.isActive()) {
+    return DISCONNECT_REASONS.SESSION_REVOKED;
+  }
+  if (isRevoked || (socket.tokenPayload.tv || 0) !== (user.tokenVersion || 0)) {
+    return DISCONNECT_REASONS.TOKEN_REVOKED;
+  }
+  return null;
+};
+
+// Re-checks every connected socket in a few batched queries, disconnecting
+// those whose credentials no longer hold and refreshing the cached user
+// (role, verification flags) on the rest
+const revalidateSockets = async (io) => {
+  const sockets = [...io.of('/').sockets.values()];
+  if (sockets.length === 0) {
+    return;
+  }
+
+  const [users, sessions, revokedJtis] = await Promise.all([
+    User.find({ _id: { $in: [...new Set(sockets.map(socket => socket.userId))] } }).select('-password'),
+    Session.find({ _id: { $in: [...new Set(sockets.map(socket => socket.sessionId))] } }),
+    RevokedToken.find({ jti: { $in: sockets.map(socket => socket.tokenPayload.jti) } }).distinct('jti')
+  ]);
+
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  const sessionsById = new Map(sessions.map(session => [session._id.toString(), session]));
+  const revoked = new Set(revokedJtis);
+
+  sockets.forEach(socket => {
+    const user = usersById.get(socket.userId);
+    const reason = getRevocationReason(socket, {
+      user,
+      session: sessionsById.get(String(socket.sessionId)),
+      isRevoked: revoked.has(socket.tokenPayload.jti)
+    });
+
+    if (reason) {
+      forceDisconnect(socket, reason);
+    } else {
+      socket.user = user;
+    }
+  });
+};
+
+const startSocketRevalidation = (io) => {
+  const timer = setInterval(() => {
+    revalidateSockets(io).catch(error => console.error('Error revalidating sockets:', error));
+  }, SOCKET_AUTH_CONSTANTS.REVALIDATION_INTERVAL);
+
+  // Never keep the process alive just for this
+  timer.unref();
+  return timer;
+};
+
+const sessionHandler = (socket, io) => {
+  scheduleTokenExpiry(socket);
+
+  // Swap in a freshly refreshed access token without reconnecting
+  socket.on(SOCKET_EVENTS.REAUTHENTICATE, async (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const token = data?.token;
+      if (!token) {
+        return respond({ success: false, message: 'Authentication token required' });
+      }
+
+      const { decoded, user } = await AuthService.resolveAccessToken(token, {
+        ip: socket.handshake.address
+      });
+
+      if (!user || user._id.toString() !== socket.userId) {
+        return respond({ success: false, message: 'Token does not belong to this connection' });
+      }
+
+      if (decoded.sid !== socket.sessionId) {
+        socket.leave(`session_${socket.sessionId}`);
+        socket.join(`session_${decoded.sid}`);
+        socket.sessionId = decoded.sid;
+      }
+
+      socket.user = user;
+      socket.tokenPayload = decoded;
+      scheduleTokenExpiry(socket);
+
+      const expiresAt = new Date(decoded.exp * 1000);
+      socket.emit(SOCKET_EVENTS.REAUTHENTICATED, {
+        expiresAt,
+        timestamp: new Date()
+      });
+      respond({ success: true, expiresAt });
+    } catch (error) {
+      // The current token stays in effect until it expires
+      respond({ success: false, message: 'Authentication failed' });
+    }
+  });
+
+  socket.on(SOCKET_EVENTS.DISCONNECT, () => {
+    clearTokenExpiry(socket);
+  });
+};
+
+module.exports = {
+  sessionHandler,
+  startSocketRevalidation,
+  revalidateSockets,
+  forceDisconnect
+};
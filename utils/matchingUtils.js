@@ -1,4 +1,16 @@
-const { MATCHING_CONSTANTS } = require('../constants');
+const { MATCHING_CONSTANTS, MATCH_CONSTANTS, PROFILE_CONSTANTS } = require('../constants');
+
+// Score given when two visible lifestyle answers differ; matching answers score 100
+const LIFESTYLE_MISMATCH_SCORES = {
+  smoking: 30,
+  drinking: 50,
+  exercise: 60,
+  diet: 60,
+  hasKids: 70,
+  wantsKids: 30,
+  religion: 40,
+  politics: 40
+};
 
 class MatchingUtils {
   // Calculate distance between two coordinates using Haversine formula
@@ -35,6 +47,44 @@ class MatchingUtils {
     return age;
   }
 
+  // Precise position of a profile, or null if it has none
+  static getCoordinates(profile) {
+    const coordinates = profile.geoLocation && profile.geoLocation.coordinates;
+    if (!coordinates || coordinates.length !== 2) return null;
+
+    return { latitude: coordinates[1], longitude: coordinates[0] };
+  }
+
+  // Distance in miles between two profiles, or null if either lacks coordinates
+  static getProfileDistance(profile1, profile2) {
+    const position1 = this.getCoordinates(profile1);
+    const position2 = this.getCoordinates(profile2);
+    if (!position1 || !position2) return null;
+
+    const kilometers = this.calculateDistance(
+      position1.latitude, position1.longitude,
+      position2.latitude, position2.longitude
+    );
+    return (kilometers * 1000) / MATCH_CONSTANTS.METERS_PER_MILE;
+  }
+
+  // Age from the birth date, or the legacy static age on profiles not yet backfilled
+  static getProfileAge(profile) {
+    if (profile.dateOfBirth) return this.calculateAge(profile.dateOfBirth);
+    return typeof profile.age === 'number' ? profile.age : null;
+  }
+
+  // Birth dates that put someone between minAge and maxAge today, inclusive
+  static getBirthDateRange(minAge, maxAge) {
+    const latest = new Date();
+    latest.setFullYear(latest.getFullYear() - minAge);
+
+    const earliest = new Date();
+    earliest.setFullYear(earliest.getFullYear() - maxAge - 1);
+
+    return { $gt: earliest, $lte: latest };
+  }
+
   // Calculate compatibility score based on various factors
   static calculateCompatibilityScore(user1Profile, user2Profile) {
     let score = 0;
@@ -54,12 +104,14 @@ class MatchingUtils {
     totalFactors += 0.2;
 
     // Location proximity (15% weight)
-    if (user1Profile.location && user2Profile.location) {
+    const position1 = this.getCoordinates(user1Profile);
+    const position2 = this.getCoordinates(user2Profile);
+    if (position1 && position2) {
       const locationScore = this.calculateLocationScore(
-        user1Profile.location.coordinates[1], // latitude
-        user1Profile.location.coordinates[0], // longitude
-        user2Profile.location.coordinates[1],
-        user2Profile.location.coordinates[0]
+        position1.latitude,
+        position1.longitude,
+        position2.latitude,
+        position2.longitude
       );
       score += locationScore * 0.15;
       totalFactors += 0.15;
@@ -143,60 +195,79 @@ class MatchingUtils {
     return 40;
   }
 
-  // Calculate lifestyle compatibility
+  // Calculate lifestyle compatibility from the answers both users show
   static calculateLifestyleCompatibility(profile1, profile2) {
     let score = 0;
     let factors = 0;
 
-    // Smoking preference
-    if (profile1.smokingHabits && profile2.smokingHabits) {
-      score += profile1.smokingHabits === profile2.smokingHabits ? 100 : 30;
-      factors++;
-    }
+    const visibleValue = (profile, field) => {
+      const value = profile.lifestyle && profile.lifestyle[field];
+      const isVisible = !profile.lifestyleVisibility || profile.lifestyleVisibility[field] !== false;
+      return isVisible ? value : null;
+    };
+
+    // Being undecided about kids does not rule anyone out
+    const isUndecided = value => ['open', 'not_sure'].includes(value);
+
+    Object.keys(PROFILE_CONSTANTS.LIFESTYLE_OPTIONS).forEach(field => {
+      const value1 = visibleValue(profile1, field);
+      const value2 = visibleValue(profile2, field);
+      if (!value1 || !value2) return;
 
-    // Drinking preference
-    if (profile1.drinkingHabits && profile2.drinkingHabits) {
-      score += profile1.drinkingHabits === profile2.drinkingHabits ? 100 : 50;
+      if (value1 === value2) {
+        score += 100;
+      } else if (field === 'wantsKids' && [value1, value2].some(isUndecided)) {
+        score += 70;
+      } else {
+        score += LIFESTYLE_MISMATCH_SCORES[field];
+      }
       factors++;
-    }
+    });
 
     // Relationship goals
-    if (profile1.relationshipGoals && profile2.relationshipGoals) {
-      score += profile1.relationshipGoals === profile2.relationshipGoals ? 100 : 20;
+    const goals1 = profile1.preferences && profile1.preferences.lookingFor;
+    const goals2 = profile2.preferences && profile2.preferences.lookingFor;
+    if (goals1 && goals2) {
+      score += goals1 === goals2 || [goals1, goals2].includes('anything') ? 100 : 20;
       factors++;
     }
 
     return factors > 0 ? score / factors : 50;
   }
 
-  // Filter potential matches based on preferences
+  // Check if a profile's interested-in list admits the other's gender. An
+  // empty list is open to everyone; a set one excludes unknown genders.
+  static isInterestedIn(profile, otherProfile) {
+    const interestedIn = profile.preferences && profile.preferences.interestedIn;
+    if (!interestedIn || interestedIn.length === 0) return true;
+
+    return !!otherProfile.gender && interestedIn.includes(otherProfile.gender);
+  }
+
+  // Check if the other profile's age is within a profile's preferred range
+  static isWithinAgeRange(profile, otherProfile) {
+    const ageRange = profile.preferences && profile.preferences.ageRange;
+    if (!ageRange) return true;
+
+    const age = this.getProfileAge(otherProfile);
+    return age !== null && age >= ageRange.min && age <= ageRange.max;
+  }
+
+  // Filter potential matches based on preferences, the same way discovery does
   static filterByPreferences(userProfile, potentialMatches) {
     return potentialMatches.filter(match => {
-      const matchAge = this.calculateAge(match.dateOfBirth);
-      
       // Age range filter
-      if (userProfile.preferences.ageRange) {
-        const { min, max } = userProfile.preferences.ageRange;
-        if (matchAge < min || matchAge > max) return false;
-      }
-
-      // Distance filter
-      if (userProfile.preferences.maxDistance && userProfile.location && match.location) {
-        const distance = this.calculateDistance(
-          userProfile.location.coordinates[1],
-          userProfile.location.coordinates[0],
-          match.location.coordinates[1],
-          match.location.coordinates[0]
-        );
-        if (distance > userProfile.preferences.maxDistance) return false;
-      }
+      if (!this.isWithinAgeRange(userProfile, match)) return false;
 
-      // Gender preference filter
-      if (userProfile.preferences.interestedIn && userProfile.preferences.interestedIn.length > 0) {
-        if (!userProfile.preferences.interestedIn.includes(match.gender)) return false;
+      // Distance filter; profiles without coordinates are not measured
+      const distance = this.getProfileDistance(userProfile, match);
+      if (userProfile.preferences.maxDistance && distance !== null &&
+          distance > userProfile.preferences.maxDistance) {
+        return false;
       }
 
-      return true;
+      // Gender preferences must hold both ways
+      return this.isInterestedIn(userProfile, match) && this.isInterestedIn(match, userProfile);
     });
   }
 
@@ -220,40 +291,21 @@ class MatchingUtils {
 
   // Check if two users are compatible based on mutual preferences
   static areMutuallyCompatible(user1Profile, user2Profile) {
-    // Check if user1 meets user2's preferences
-    const user1Age = this.calculateAge(user1Profile.dateOfBirth);
-    const user2Age = this.calculateAge(user2Profile.dateOfBirth);
-
-    // User2's age preferences for User1
-    if (user2Profile.preferences.ageRange) {
-      const { min, max } = user2Profile.preferences.ageRange;
-      if (user1Age < min || user1Age > max) return false;
-    }
-
-    // User1's age preferences for User2
-    if (user1Profile.preferences.ageRange) {
-      const { min, max } = user1Profile.preferences.ageRange;
-      if (user2Age < min || user2Age > max) return false;
+    // Age preferences
+    if (!this.isWithinAgeRange(user1Profile, user2Profile) ||
+        !this.isWithinAgeRange(user2Profile, user1Profile)) {
+      return false;
     }
 
     // Gender preferences
-    if (user1Profile.preferences.interestedIn && user1Profile.preferences.interestedIn.length > 0) {
-      if (!user1Profile.preferences.interestedIn.includes(user2Profile.gender)) return false;
-    }
-
-    if (user2Profile.preferences.interestedIn && user2Profile.preferences.interestedIn.length > 0) {
-      if (!user2Profile.preferences.interestedIn.includes(user1Profile.gender)) return false;
+    if (!this.isInterestedIn(user1Profile, user2Profile) ||
+        !this.isInterestedIn(user2Profile, user1Profile)) {
+      return false;
     }
 
     // Distance preferences
-    if (user1Profile.location && user2Profile.location) {
-      const distance = this.calculateDistance(
-        user1Profile.location.coordinates[1],
-        user1Profile.location.coordinates[0],
-        user2Profile.location.coordinates[1],
-        user2Profile.location.coordinates[0]
-      );
-
+    const distance = this.getProfileDistance(user1Profile, user2Profile);
+    if (distance !== null) {
       if (user1Profile.preferences.maxDistance && distance > user1Profile.preferences.maxDistance) {
         return false;
       }
@@ -301,14 +353,8 @@ class MatchingUtils {
     }
 
     // Location
-    if (userProfile.location && matchProfile.location) {
-      const distance = this.calculateDistance(
-        userProfile.location.coordinates[1],
-        userProfile.location.coordinates[0],
-        matchProfile.location.coordinates[1],
-        matchProfile.location.coordinates[0]
-      );
-      
+    const distance = this.getProfileDistance(userProfile, matchProfile);
+    if (distance !== null) {
       if (distance <= 10) {
         reasons.push('Lives nearby');
       }
@@ -368,13 +414,14 @@ class MatchingUtils {
     for (const match of topMatches) {
       if (batch.length >= batchSize) break;
       
-      const age = this.calculateAge(match.dateOfBirth);
-      const ageGroup = Math.floor(age / 5) * 5; // Group by 5-year intervals
+      const age = this.getProfileAge(match);
+      const ageGroup = age === null ? 'unknown' : Math.floor(age / 5) * 5; // Group by 5-year intervals
       
       let locationKey = 'unknown';
-      if (match.location) {
+      const position = this.getCoordinates(match);
+      if (position) {
         // Group by approximate location (rounded coordinates)
-        locationKey = `${Math.round(match.location.coordinates[1])}_${Math.round(match.location.coordinates[0])}`;
+        locationKey = `${Math.round(position.latitude)}_${Math.round(position.longitude)}`;
       }
       
       // Add if it brings variety or if we haven't filled minimum requirements
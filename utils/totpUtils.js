@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { TWO_FACTOR_CONSTANTS } = require('../constants');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TotpUtils {
+  // Encode a buffer as RFC 4648 base32 (no padding), as authenticator apps expect
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  static base32Decode(input) {
+    const cleaned = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  static generateSecret() {
+    return this.base32Encode(crypto.randomBytes(TWO_FACTOR_CONSTANTS.SECRET_BYTES));
+  }
+
+  static getTimeStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / TWO_FACTOR_CONSTANTS.PERIOD);
+  }
+
+  // HOTP value for a counter (RFC 4226)
+  static generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = ((hmac[offset] & 127) << 24) |
+                   (hmac[offset + 1] << 16) |
+                   (hmac[offset + 2] << 8) |
+                   hmac[offset + 3];
+
+    return (binary % (10 ** TWO_FACTOR_CONSTANTS.DIGITS)).toString().padStart(TWO_FACTOR_CONSTANTS.DIGITS, '0');
+  }
+
+  // Returns the matching time step, or null. Steps at or before lastUsedStep
+  // are rejected so a code cannot be replayed.
+  static verifyCode(secret, code, lastUsedStep = null) {
+    if (typeof code !== 'string' || !/^\d+$/.test(code) || code.length !== TWO_FACTOR_CONSTANTS.DIGITS) {
+      return null;
+    }
+
+    const currentStep = this.getTimeStep();
+    const window = TWO_FACTOR_CONSTANTS.WINDOW;
+
+    for (let step = currentStep - window; step <= currentStep + window; step++) {
+      if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) {
+        continue;
+      }
+
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  static buildOtpAuthUrl(secret, accountName) {
+    const issuer = TWO_FACTOR_CONSTANTS.ISSUER;
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TWO_FACTOR_CONSTANTS.DIGITS),
+      period: String(TWO_FACTOR_CONSTANTS.PERIOD)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  static generateRecoveryCodes(count = TWO_FACTOR_CONSTANTS.RECOVERY_CODE_COUNT) {
+    return Array.from({ length: count }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+    });
+  }
+
+  static normalizeRecoveryCode(code) {
+    return code.trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+  }
+
+  // Secrets are stored encrypted (AES-256-GCM) so a database leak alone does
+  // not expose them
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [iv, tag, encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  static decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  static getEncryptionKey() {
+    const keySource = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(keySource).digest();
+  }
+}
+
+module.exports = TotpUtils;
@@ -1,3 +1,5 @@
+const MatchingUtils = require('./matchingUtils');
+
 class ValidationUtils {
   static isValidEmail(email) {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -25,6 +27,11 @@ class ValidationUtils {
     return age >= 18 && age <= 100;
   }
 
+  static validateDateOfBirth(dateOfBirth) {
+    const date = new Date(dateOfBirth);
+    return !isNaN(date.getTime()) && this.validateAge(MatchingUtils.calculateAge(date));
+  }
+
   static validateLocation(location) {
     return location && location.trim().length >= 2 && location.trim().length <= 100;
   }
@@ -50,6 +57,16 @@ class ValidationUtils {
     return phoneRegex.test(phone);
   }
 
+  // Normalizes to E.164 (+ followed by 8-15 digits); returns null when invalid
+  static normalizePhoneNumber(phone) {
+    if (typeof phone !== 'string' || !this.validatePhoneNumber(phone)) {
+      return null;
+    }
+
+    const digits = phone.replace(/[\s\-\(\)]/g, '');
+    return /^\+[1-9]\d{7,14}$/.test(digits) ? digits : null;
+  }
+
   static validateUrl(url) {
     try {
       new URL(url);